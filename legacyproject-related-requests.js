@@ -13,6 +13,7 @@ the License.
 */
 import { LitElement } from 'lit-element';
 import 'pouchdb/dist/pouchdb.js';
+import { ProjectRequestsMixin } from './project-requests-model.js';
 /**
  * An element that computes a list of requests related to a project.
  * It handles all request related events to update the list if the request object
@@ -30,106 +31,166 @@ import 'pouchdb/dist/pouchdb.js';
  * &lt;/script>
  * ```
  *
+ * ### Querying with events
+ *
+ * Other components can read requests of a project without a reference to
+ * the element by dispatching the cancelable `project-related-requests-query`
+ * event. The element cancels the event and sets the `result` property on the
+ * detail object with a promise resolved to the list of requests.
+ *
+ * ```javascript
+ * const e = new CustomEvent('project-related-requests-query', {
+ *   bubbles: true,
+ *   composed: true,
+ *   cancelable: true,
+ *   detail: { projectId: 'project-id' }
+ * });
+ * this.dispatchEvent(e);
+ * const requests = await e.detail.result;
+ * ```
+ *
+ * ### Storage
+ *
+ * By default the element reads data from the `saved-requests` and
+ * `legacy-projects` PouchDB data stores. Set the `adapter` property to read
+ * the data from another storage, for example a `PouchDbStorageAdapter` with
+ * custom data stores names or the `MemoryStorageAdapter`.
+ *
+ * The element module loads PouchDB for the default adapter. The
+ * `ProjectRequestsModel` class does not load it, so the `PouchDB` option
+ * or the global `PouchDB` object is required when it uses the default
+ * adapter.
+ *
+ * The logic is shared with the `ProjectRequestsModel` class that can be used
+ * outside the DOM. Properties that have accessors defined in the
+ * `ProjectRequestsMixin` are declared with the `noAccessor` option.
+ *
  * @polymer
  * @customElement
  * @memberof UiElements
+ * @appliesMixin ProjectRequestsMixin
  */
-class LegacyprojectRelatedRequests extends LitElement {
+class LegacyprojectRelatedRequests extends ProjectRequestsMixin(LitElement) {
   static get properties() {
     return {
       /**
        * An ID of the legacy project. Once changed it queries the datastore for
        * related requests.
        */
-      projectId: { type: String },
+      projectId: { type: String, noAccessor: true },
       /**
        * If `true` then it queries for whole request objects.
-       * Otherwise it only returns the `name`, `_rev` and `_id` properties.
+       * Otherwise it only returns the `_rev`, `_id` and properties listed
+       * in `fields`.
+       *
+       * @deprecated Use `fields` to set properties of request objects.
+       */
+      fullQuery: { type: Boolean },
+      /**
+       * List of request object properties to return with `_id` and `_rev`.
+       * When not set only the `name` property is returned.
+       * It accepts a path to a nested property, e.g. `auth.method`,
+       * and names of computed fields defined in `computedFields`, e.g. `host`.
+       *
+       * When set as an attribute it is a comma or space separated list of
+       * fields.
+       */
+      fields: {
+        type: Array,
+        converter: {
+          fromAttribute: (value) => {
+            if (!value) {
+              return undefined;
+            }
+            return value.split(/[\s,]+/).filter((item) => !!item);
+          }
+        }
+      },
+      /**
+       * When set it listens to the changes feed of the `saved-requests` and
+       * `legacy-projects` data stores and updates the `data` list when
+       * a related document change, even when the change was made outside
+       * this application (another tab, sync process, etc).
+       */
+      live: { type: Boolean, noAccessor: true },
+      /**
+       * A list of legacy projects IDs to query for related requests at once.
+       * Once changed it queries the datastore for requests of all projects
+       * and sets the `projectsData` map.
+       */
+      projectIds: { type: Array, noAccessor: true },
+      /**
+       * When set the project requests are read in pages of this size.
+       * The `query()` function returns the first page only and
+       * `loadNext()` appends next page to the `data` list.
+       * Pages follow the order of the project's `requests` list, or the order
+       * of requests IDs for a project that uses the legacy ID system, and
+       * the project order sort uses this order instead of `projectOrder`
+       * so appended pages are always at the end of the list.
+       */
+      pageSize: { type: Number },
+      /**
+       * When set and the project uses the legacy ID system, where requests
+       * are matched by the ID, then the project is migrated with
+       * `migrateLegacyProject()` before the requests are read.
+       */
+      autoMigrate: { type: Boolean },
+      /**
+       * A text to search for in requests' name, URL, HTTP method, headers
+       * and body. When set the `data` list contains only matching requests.
+       */
+      search: { type: String, noAccessor: true },
+      /**
+       * A map of request properties to values to search for in the property.
+       * Supported properties are `name`, `url`, `method`, `headers`
+       * and `payload`. When set the `data` list contains only requests
+       * that match all values.
+       */
+      filter: { type: Object, noAccessor: true },
+      /**
+       * The order of the `data` list. One of `order` (the project order,
+       * default), `name`, `updated` (last update time), `method` or `url`.
+       */
+      sort: { type: String, noAccessor: true },
+      /**
+       * Direction of the `sort` order, either `asc` (default) or `desc`.
+       */
+      sortDirection: { type: String, noAccessor: true },
+      /**
+       * A function that compares two items of the `data` list, the same way
+       * as `Array.prototype.sort()` compare function.
+       * When set it is used instead of the `sort` mode.
+       */
+      comparator: { type: Object, attribute: false, noAccessor: true },
+      /**
+       * When set the `groups` list contains requests of the `data` list
+       * grouped by URL `host`, HTTP `method` or URL `path` prefix.
+       */
+      groupBy: { type: String, noAccessor: true },
+      /**
+       * Number of path segments used as a group key when `groupBy`
+       * is `path`. Default to 1.
+       */
+      groupDepth: { type: Number, noAccessor: true },
+      /**
+       * Number of milliseconds during which requests deleted from the `data`
+       * list are remembered. Remembered requests restored with the
+       * `request-objects-restored` event are put back on their positions.
+       * Default to 30 seconds. Set to 0 to disable it.
+       */
+      restoreTimeout: { type: Number },
+      /**
+       * When set the `history-requests` data store is searched for requests
+       * with the same HTTP method and URL as the project requests.
+       * Each item of the `data` list gets the `lastRun` (time of the most
+       * recent matching history request) and `runCount` (number of matching
+       * history requests) properties.
+       * History requests are read without delaying the `data` list. The
+       * properties are added when the history is read.
        */
-      fullQuery: { type: Boolean }
+      linkHistory: { type: Boolean, noAccessor: true }
     };
   }
-  // Returns a handler to the saved store instance
-  get savedDb() {
-    /* global PouchDB */
-    return new PouchDB('saved-requests');
-  }
-
-  // Returns a handler to the saved store instance
-  get projectDb() {
-    return new PouchDB('legacy-projects');
-  }
-
-  get projectId() {
-    return this._projectId;
-  }
-
-  set projectId(value) {
-    const old = this._projectId;
-    /* istanbul ignore if */
-    if (old === value) {
-      return;
-    }
-    this._projectId = value;
-    this._autoQuery(value);
-  }
-  /**
-   * @return {Array<Object>} list of requests found for the project.
-   */
-  get data() {
-    return this._data;
-  }
-
-  get _data() {
-    return this.__data;
-  }
-
-  set _data(value) {
-    const old = this.__data;
-    /* istanbul ignore if */
-    if (old === value) {
-      return;
-    }
-    this.__data = value;
-    this.dispatchEvent(new CustomEvent('data', {
-      detail: {
-        projectId: this.projectId,
-        items: value
-      }
-    }));
-  }
-
-  /**
-   * @return {Boolean} true if currently querying for the data.
-   */
-  get querying() {
-    return this._querying;
-  }
-
-  get _querying() {
-    return this.__querying;
-  }
-
-  set _querying(value) {
-    const old = this.__querying;
-    /* istanbul ignore if */
-    if (old === value) {
-      return;
-    }
-    this.__querying = value;
-    this.dispatchEvent(new CustomEvent('querying', {
-      detail: {
-        value
-      }
-    }));
-  }
-
-  constructor() {
-    super();
-    this._requestObjectChanged = this._requestObjectChanged.bind(this);
-    this._requestObjectDeleted = this._requestObjectDeleted.bind(this);
-    this._requestObjectsDeleted = this._requestObjectsDeleted.bind(this);
-  }
 
   connectedCallback() {
     /* istanbul ignore else */
@@ -137,257 +198,17 @@ class LegacyprojectRelatedRequests extends LitElement {
       super.connectedCallback();
     }
     this.setAttribute('aria-hidden', 'true');
-    window.addEventListener('request-object-changed', this._requestObjectChanged);
-    window.addEventListener('request-object-deleted', this._requestObjectDeleted);
-    window.addEventListener('request-objects-deleted', this._requestObjectsDeleted);
+    this._addEventListeners(window);
+    this._updateLiveFeeds();
   }
 
   disconnectedCallback() {
-    window.removeEventListener('request-object-changed', this._requestObjectChanged);
-    window.removeEventListener('request-object-deleted', this._requestObjectDeleted);
-    window.removeEventListener('request-objects-deleted', this._requestObjectsDeleted);
+    this._removeEventListeners(window);
+    this._cancelLiveFeeds();
     /* istanbul ignore else */
     if (super.disconnectedCallback) {
       super.disconnectedCallback();
     }
   }
-  /**
-   * Automatically run function when either `opened` or `projectId` change.
-   *
-   * @param {String} projectId
-   */
-  async _autoQuery(projectId) {
-    if (!projectId) {
-      return;
-    }
-    const requests = await this.query(projectId);
-    this._data = requests;
-  }
-  /**
-   * Queries the datastore for related requests list for the project.
-   *
-   * @param {String} id Project ID
-   * @return {Promise} Promise resolved to the list of related to project
-   * requests.
-   */
-  async query(id) {
-    if (!id) {
-      throw new Error('The "id" argument is missing');
-    }
-    this._querying = true;
-    try {
-      const keys = await this._readProjectRequests(id);
-      if (!keys.length) {
-        return await this._tryLegacy(id);
-      }
-      let requests = await this._getProjectRequest(keys);
-      requests = this._prepareData(requests);
-      requests = this._setDataScope(requests);
-      this._querying = false;
-      return requests;
-    } catch (cause) {
-      this._querying = false;
-      let message;
-      if (cause.message) {
-        message = cause.message;
-      } else {
-        message = JSON.stringify(cause);
-      }
-      this.dispatchEvent(new CustomEvent('send-analytics', {
-        bubbles: true,
-        composed: true,
-        detail: {
-          type: 'exception',
-          description: message,
-          fatal: true
-        }
-      }));
-      return [];
-    }
-  }
-
-  async _readProjectRequests(id) {
-    const db = this.projectDb;
-    const doc = await db.get(id);
-    return doc.requests || [];
-  }
-
-  async _getProjectRequest(keys) {
-    const db = this.savedDb;
-    const response = await db.allDocs({
-      include_docs: true,
-      keys
-    });
-    const result = [];
-    response.rows.forEach((item) => {
-      if (!item.error && item.doc) {
-        result[result.length] = item.doc;
-      }
-    });
-    return result;
-  }
-
-  async _tryLegacy(id) {
-    const db = this.savedDb;
-    let response = await db.allDocs();
-    response = this._filterRequests(response, id);
-    response = await Promise.all(response.map((item) => db.get(item.id)));
-    let requests = this._prepareData(response);
-    requests = this._setDataScope(response);
-    this._querying = false;
-    return requests;
-  }
-
-  /**
-   * Filters request list returned by the query to ones related to current
-   * request.
-   * @param {Object} dbResponse PouchDB query response
-   * @param {String} id Project ID
-   * @return {Array} Filtered list of requests that are related to the project
-   */
-  _filterRequests(dbResponse, id) {
-    return dbResponse.rows.filter((item) => item.id.indexOf(id) !== -1);
-  }
-  /**
-   * Perpares request objects depending on the `fullQuery` property.
-   * If the property is set this does nothing. Otherwise this returns the
-   * `name`, `_id` and `_rev` properties in the list of objects.
-   *
-   * @param {Array} list List of request objects
-   * @return {Array} List of requests with requested scope.
-   */
-  _setDataScope(list) {
-    if (this.fullQuery) {
-      return list;
-    }
-    return list.map((item) => {
-      return {
-        _id: item._id,
-        _rev: item._rev,
-        name: item.name
-      };
-    });
-  }
-  /**
-   * Sorts requests list by `projectOrder` property. Also, maps  `_id` to `id`
-   * so some legacy views can support this data.
-   *
-   * @param {Array} list List of request objects
-   * @return {Array} Sorted list of requests
-   */
-  _prepareData(list) {
-    if (!list.length) {
-      return [];
-    }
-    list.sort((a, b) => {
-      if (a.projectOrder > b.projectOrder) {
-        return 1;
-      }
-      if (a.projectOrder < b.projectOrder) {
-        return -1;
-      }
-      return (a.name || '').localeCompare(b.name || '');
-    });
-    return list;
-  }
-  /**
-   * Handler for the `request-object-changed` event.
-   * If the event is not cancelable and its `legacyProject` property equal current
-   * project ID then it updates/adds request to the `data` list.
-   *
-   * @param {CustomEvent} e
-   */
-  _requestObjectChanged(e) {
-    if (e.cancelable) {
-      return;
-    }
-    const { request } = e.detail;
-    let projects = [];
-    if (request.legacyProject) {
-      projects = [request.legacyProject];
-    }
-    if (request.projects) {
-      projects = projects.concat(request.projects);
-    }
-    if (projects.indexOf(this.projectId) === -1) {
-      return;
-    }
-    let items = this.data || [];
-    if (!items.length) {
-      items = [request];
-    } else {
-      const index = items.findIndex((item) => item._id === request._id);
-      if (index === -1) {
-        items.push(request);
-      } else {
-        items[index] = request;
-      }
-      items = this._prepareData(items);
-    }
-    this._data = [...items];
-  }
-  /**
-   * Handler for the `request-object-deleted` event. Removes a request from the
-   * `data` list if removed item is on the list.
-   *
-   * @param {CustomEvent} e
-   */
-  _requestObjectDeleted(e) {
-    if (e.cancelable) {
-      // not yet saved
-      return;
-    }
-    const { id } = e.detail;
-    if (!id) {
-      return;
-    }
-    this._checkDeleted([id]);
-  }
-  /**
-   * Handler for the `request-objects-deleted` event. Removes deleted requests
-   * from the `data` list if they are on the list.
-   *
-   * @param {CustomEvent} e
-   */
-  _requestObjectsDeleted(e) {
-    if (e.cancelable) {
-      // not yet saved
-      return;
-    }
-    const ids = e.detail.items;
-    if (!ids || !ids.length) {
-      return;
-    }
-    this._checkDeleted(ids);
-  }
-  /**
-   * Checks if any of the removed items is on current `data` list. Removes
-   * items that are in the `ids` list.
-   * @param {Array<String>} ids List of removed items IDs.
-   */
-  _checkDeleted(ids) {
-    const items = this.data;
-    if (!items || !items.length) {
-      return;
-    }
-    let changed = false;
-    for (let i = items.length - 1; i >= 0; i--) {
-      if (~ids.indexOf(items[i]._id)) {
-        items.splice(i, 1);
-        changed = true;
-      }
-    }
-    if (changed) {
-      this._data = [...items];
-    }
-  }
-
-  /**
-   * Fired when the query function finished querying for the data.
-   *
-   * @event project-related-requests
-   * @param {String} projectId Current project ID
-   * @param {Array} items List of requests related to the project.
-   */
 }
 window.customElements.define('legacyproject-related-requests', LegacyprojectRelatedRequests);
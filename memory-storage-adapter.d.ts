@@ -0,0 +1,130 @@
+/**
+ * DO NOT EDIT
+ *
+ * This file was automatically generated by
+ *   https://github.com/Polymer/tools/tree/master/packages/gen-typescript-declarations
+ *
+ * To modify these typings, edit the source file(s):
+ *   memory-storage-adapter.js
+ */
+
+
+// tslint:disable:variable-name Describing an API that's defined elsewhere.
+// tslint:disable:no-any describes the API as best we are able today
+
+export {MemoryStorageAdapter};
+
+/**
+ * A storage adapter that keeps legacy projects and saved requests in memory.
+ * It can be used with the `legacyproject-related-requests` element when
+ * the data are not stored in PouchDB, for example in tests.
+ */
+declare class MemoryStorageAdapter {
+
+  /**
+   * @param init Initial data
+   */
+  constructor(init?: {projects?: object[], requests?: object[], history?: object[]});
+
+  /**
+   * Reads a project document.
+   *
+   * @param id Project ID
+   * @returns Promise resolved to the project document.
+   */
+  getProject(id: String|null): Promise<object|null>;
+
+  /**
+   * Reads multiple project documents.
+   *
+   * @param ids List of projects IDs
+   * @returns List of projects in order
+   * of `ids`.
+   */
+  getProjects(ids: Array<String|null>|null): Promise<Array<object|undefined>>;
+
+  /**
+   * Reads multiple request documents.
+   *
+   * @param keys List of requests IDs
+   * @returns List of requests in order
+   * of `keys`.
+   */
+  getRequests(keys: Array<String|null>|null): Promise<Array<object|undefined>>;
+
+  /**
+   * Lists IDs of all requests in the store.
+   */
+  listRequestIds(): Promise<Array<String|null>|null>;
+
+  /**
+   * Reads all request documents.
+   *
+   * @returns List of all requests ordered by ID.
+   */
+  listRequests(): Promise<Array<object|null>|null>;
+
+  /**
+   * Reads all history request documents.
+   *
+   * @returns List of all history requests.
+   */
+  listHistory(): Promise<Array<object|null>|null>;
+
+  /**
+   * Listens for changes to requests.
+   *
+   * @param onchange Called with a change object.
+   * @returns An object with the `cancel()` function.
+   */
+  watchRequests(onchange: Function|null): object|null;
+
+  /**
+   * Listens for changes to projects.
+   *
+   * @param ids List of projects IDs to observe.
+   * @param onchange Called with a change object.
+   * @returns An object with the `cancel()` function.
+   */
+  watchProjects(ids: Array<String|null>|null, onchange: Function|null): object|null;
+
+  /**
+   * Creates or updates a project document.
+   *
+   * @param doc Project document
+   * @returns Promise resolved to an object with `id`
+   * and `rev` properties.
+   */
+  putProject(doc: object|null): Promise<object|null>;
+
+  /**
+   * Creates or updates request documents.
+   *
+   * @param docs List of request documents
+   * @returns Promise resolved to a list of write
+   * results in order of `docs`. Failed writes have `error` and `status`
+   * properties.
+   */
+  putRequests(docs: Array<object|null>|null): Promise<Array<object|null>|null>;
+
+  /**
+   * Removes a project document.
+   *
+   * @param id Project ID
+   */
+  removeProject(id: String|null): Promise<any>;
+
+  /**
+   * Removes request documents.
+   *
+   * @param ids List of requests IDs
+   */
+  removeRequests(ids: Array<String|null>|null): Promise<any>;
+  _write(store: any, doc: any, init: any): any;
+  _remove(store: any, listeners: any, id: any): any;
+  _addListener(listeners: any, listener: any): any;
+  _notify(listeners: any, doc: any): any;
+  _createError(status: any, name: any, message: any): any;
+  _clone(doc: any): any;
+  _uuid(): any;
+}
@@ -0,0 +1,248 @@
+/**
+@license
+Copyright 2020 The Advanced REST client authors <arc@mulesoft.com>
+Licensed under the Apache License, Version 2.0 (the "License"); you may not
+use this file except in compliance with the License. You may obtain a copy of
+the License at
+http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+License for the specific language governing permissions and limitations under
+the License.
+*/
+/**
+ * A storage adapter that keeps legacy projects and saved requests in memory.
+ * It can be used with the `legacyproject-related-requests` element when
+ * the data are not stored in PouchDB, for example in tests.
+ *
+ * Documents passed to and returned by the adapter are copies so changes
+ * to the objects are not reflected in the store until they are written.
+ * Write functions follow PouchDB semantics: a document has to have current
+ * `_rev` to be updated, otherwise the write fails with the `conflict` error.
+ *
+ * ### Example
+ *
+ * ```javascript
+ * element.adapter = new MemoryStorageAdapter({
+ *  projects: [{ _id: 'p1', name: 'Project', requests: ['r1'] }],
+ *  requests: [{ _id: 'r1', name: 'Request', projects: ['p1'] }]
+ * });
+ * element.projectId = 'p1';
+ * ```
+ */
+export class MemoryStorageAdapter {
+  /**
+   * @param {Object=} init Initial data
+   * @param {Array<Object>=} init.projects List of project documents
+   * @param {Array<Object>=} init.requests List of request documents
+   * @param {Array<Object>=} init.history List of history request documents
+   */
+  constructor(init = {}) {
+    this._projects = new Map();
+    this._requests = new Map();
+    this._history = new Map();
+    this._requestListeners = [];
+    this._projectListeners = [];
+    (init.projects || []).forEach((doc) => this._write(this._projects, doc, true));
+    (init.requests || []).forEach((doc) => this._write(this._requests, doc, true));
+    (init.history || []).forEach((doc) => this._write(this._history, doc, true));
+  }
+  /**
+   * Reads a project document.
+   *
+   * @param {String} id Project ID
+   * @return {Promise<Object>} Promise resolved to the project document.
+   */
+  async getProject(id) {
+    const doc = this._projects.get(id);
+    if (!doc) {
+      throw this._createError(404, 'not_found', 'missing');
+    }
+    return this._clone(doc);
+  }
+  /**
+   * Reads multiple project documents.
+   *
+   * @param {Array<String>} ids List of projects IDs
+   * @return {Promise<Array<Object|undefined>>} List of projects in order
+   * of `ids`.
+   */
+  async getProjects(ids) {
+    return ids.map((id) => this._clone(this._projects.get(id)));
+  }
+  /**
+   * Reads multiple request documents.
+   *
+   * @param {Array<String>} keys List of requests IDs
+   * @return {Promise<Array<Object|undefined>>} List of requests in order
+   * of `keys`.
+   */
+  async getRequests(keys) {
+    return keys.map((id) => this._clone(this._requests.get(id)));
+  }
+  /**
+   * Lists IDs of all requests in the store.
+   *
+   * @return {Promise<Array<String>>}
+   */
+  async listRequestIds() {
+    return Array.from(this._requests.keys()).sort();
+  }
+  /**
+   * Reads all request documents.
+   *
+   * @return {Promise<Array<Object>>} List of all requests ordered by ID.
+   */
+  async listRequests() {
+    const ids = await this.listRequestIds();
+    return ids.map((id) => this._clone(this._requests.get(id)));
+  }
+  /**
+   * Reads all history request documents.
+   *
+   * @return {Promise<Array<Object>>} List of all history requests.
+   */
+  async listHistory() {
+    return Array.from(this._history.values()).map((doc) => this._clone(doc));
+  }
+  /**
+   * Listens for changes to requests.
+   *
+   * @param {Function} onchange Called with a change object.
+   * @return {Object} An object with the `cancel()` function.
+   */
+  watchRequests(onchange) {
+    return this._addListener(this._requestListeners, { onchange });
+  }
+  /**
+   * Listens for changes to projects.
+   *
+   * @param {Array<String>} ids List of projects IDs to observe.
+   * @param {Function} onchange Called with a change object.
+   * @return {Object} An object with the `cancel()` function.
+   */
+  watchProjects(ids, onchange) {
+    return this._addListener(this._projectListeners, { ids, onchange });
+  }
+  /**
+   * Creates or updates a project document.
+   *
+   * @param {Object} doc Project document
+   * @return {Promise<Object>} Promise resolved to an object with `id`
+   * and `rev` properties.
+   */
+  async putProject(doc) {
+    const stored = this._write(this._projects, doc);
+    this._notify(this._projectListeners, stored);
+    return { ok: true, id: stored._id, rev: stored._rev };
+  }
+  /**
+   * Creates or updates request documents.
+   *
+   * @param {Array<Object>} docs List of request documents
+   * @return {Promise<Array<Object>>} Promise resolved to a list of write
+   * results in order of `docs`. Failed writes have `error` and `status`
+   * properties.
+   */
+  async putRequests(docs) {
+    return docs.map((doc) => {
+      try {
+        const stored = this._write(this._requests, doc);
+        this._notify(this._requestListeners, stored);
+        return { ok: true, id: stored._id, rev: stored._rev };
+      } catch (e) {
+        return { id: doc._id, error: e.name, status: e.status, reason: e.message };
+      }
+    });
+  }
+  /**
+   * Removes a project document.
+   *
+   * @param {String} id Project ID
+   * @return {Promise}
+   */
+  async removeProject(id) {
+    this._remove(this._projects, this._projectListeners, id);
+  }
+  /**
+   * Removes request documents.
+   *
+   * @param {Array<String>} ids List of requests IDs
+   * @return {Promise}
+   */
+  async removeRequests(ids) {
+    ids.forEach((id) => this._remove(this._requests, this._requestListeners, id));
+  }
+
+  _write(store, doc, init) {
+    const id = doc._id || this._uuid();
+    const existing = store.get(id);
+    if (existing && !init && existing._rev !== doc._rev) {
+      throw this._createError(409, 'conflict', 'Document update conflict');
+    }
+    const revision = existing ? parseInt(existing._rev, 10) + 1 : 1;
+    const stored = this._clone(doc);
+    stored._id = id;
+    stored._rev = `${revision}-${this._uuid()}`;
+    store.set(id, stored);
+    return this._clone(stored);
+  }
+
+  _remove(store, listeners, id) {
+    const existing = store.get(id);
+    if (!existing) {
+      throw this._createError(404, 'not_found', 'missing');
+    }
+    store.delete(id);
+    this._notify(listeners, {
+      _id: id,
+      _rev: `${parseInt(existing._rev, 10) + 1}-${this._uuid()}`,
+      _deleted: true
+    });
+  }
+
+  _addListener(listeners, listener) {
+    listeners.push(listener);
+    return {
+      cancel: () => {
+        const index = listeners.indexOf(listener);
+        if (index !== -1) {
+          listeners.splice(index, 1);
+        }
+      }
+    };
+  }
+
+  _notify(listeners, doc) {
+    const change = {
+      id: doc._id,
+      doc,
+      deleted: !!doc._deleted
+    };
+    listeners.forEach((listener) => {
+      if (listener.ids && listener.ids.indexOf(doc._id) === -1) {
+        return;
+      }
+      Promise.resolve().then(() => listener.onchange(this._clone(change)));
+    });
+  }
+
+  _createError(status, name, message) {
+    const error = new Error(message);
+    error.status = status;
+    error.name = name;
+    return error;
+  }
+
+  _clone(doc) {
+    if (!doc) {
+      return undefined;
+    }
+    return JSON.parse(JSON.stringify(doc));
+  }
+
+  _uuid() {
+    return Math.random().toString(16).substr(2);
+  }
+}
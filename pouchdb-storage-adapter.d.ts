@@ -0,0 +1,156 @@
+/**
+ * DO NOT EDIT
+ *
+ * This file was automatically generated by
+ *   https://github.com/Polymer/tools/tree/master/packages/gen-typescript-declarations
+ *
+ * To modify these typings, edit the source file(s):
+ *   pouchdb-storage-adapter.js
+ */
+
+
+// tslint:disable:variable-name Describing an API that's defined elsewhere.
+// tslint:disable:no-any describes the API as best we are able today
+
+export {PouchDbStorageAdapter};
+
+/**
+ * A storage adapter that reads and writes legacy projects and saved requests
+ * in PouchDB data stores. This is the default adapter of the
+ * `legacyproject-related-requests` element.
+ */
+declare class PouchDbStorageAdapter {
+  savedName: string;
+  projectName: string;
+  historyName: string;
+  PouchDB: Function|null|undefined;
+
+  /**
+   * A handler to the saved requests store instance.
+   */
+  readonly savedDb: any;
+
+  /**
+   * A handler to the legacy projects store instance.
+   */
+  readonly projectDb: any;
+
+  /**
+   * A handler to the history requests store instance.
+   */
+  readonly historyDb: any;
+
+  /**
+   * Identifier of the data stores used by the adapter.
+   */
+  readonly cacheScope: String|null;
+
+  /**
+   * @param opts Adapter options
+   */
+  constructor(opts?: {savedName?: string, projectName?: string, historyName?: string, PouchDB?: Function});
+
+  /**
+   * Creates a PouchDB instance. The instance is released when the data store
+   * is destroyed so next call creates a new one.
+   *
+   * @param name Data store name
+   * @param cacheKey Name of the property that keeps the instance.
+   * @returns PouchDB instance
+   */
+  _createDb(name: String|null, cacheKey: String|null): object|null;
+
+  /**
+   * Reads a project document.
+   *
+   * @param id Project ID
+   * @returns Promise resolved to the project document.
+   */
+  getProject(id: String|null): Promise<object|null>;
+
+  /**
+   * Reads multiple project documents in a single request.
+   *
+   * @param ids List of projects IDs
+   * @returns List of projects in order
+   * of `ids`.
+   */
+  getProjects(ids: Array<String|null>|null): Promise<Array<object|undefined>>;
+
+  /**
+   * Reads multiple request documents in a single request.
+   *
+   * @param keys List of requests IDs
+   * @returns List of requests in order
+   * of `keys`.
+   */
+  getRequests(keys: Array<String|null>|null): Promise<Array<object|undefined>>;
+
+  /**
+   * Lists IDs of all requests in the saved requests store.
+   */
+  listRequestIds(): Promise<Array<String|null>|null>;
+
+  /**
+   * Reads all request documents.
+   *
+   * @returns List of all requests.
+   */
+  listRequests(): Promise<Array<object|null>|null>;
+
+  /**
+   * Lists all history requests. History documents are read in batches of
+   * `HISTORY_BATCH_SIZE` documents and only the `_id`, `method`, `url`,
+   * `created` and `updated` properties are kept in the result.
+   *
+   * @returns List of all history requests.
+   */
+  listHistory(): Promise<Array<object|null>|null>;
+
+  /**
+   * @param doc History request document
+   * @returns The history request with the properties that are used
+   * to link it with saved requests.
+   */
+  _historyEntry(doc: object|null): object|null;
+
+  /**
+   * Listens to the changes feed of the saved requests store.
+   *
+   * @param onchange Called with a change object.
+   * @param onerror Called with the feed error.
+   * @returns The changes feed with the `cancel()` function.
+   */
+  watchRequests(onchange: Function|null, onerror?: Function|null): object|null;
+
+  /**
+   * Listens to the changes feed of the legacy projects store.
+   *
+   * @param ids List of projects IDs to observe.
+   * @param onchange Called with a change object.
+   * @param onerror Called with the feed error.
+   * @returns The changes feed with the `cancel()` function.
+   */
+  watchProjects(ids: Array<String|null>|null, onchange: Function|null, onerror?: Function|null): object|null;
+
+  /**
+   * Creates or updates a project document.
+   *
+   * @param doc Project document
+   * @returns Promise resolved to an object with `id`
+   * and `rev` properties.
+   */
+  putProject(doc: object|null): Promise<object|null>;
+
+  /**
+   * Creates or updates request documents in a single request.
+   *
+   * @param docs List of request documents
+   * @returns Promise resolved to a list of write
+   * results in order of `docs`. Failed writes have `error` and `status`
+   * properties.
+   */
+  putRequests(docs: Array<object|null>|null): Promise<Array<object|null>|null>;
+  _readBulk(db: any, keys: any): any;
+  _watch(db: any, opts: any, onchange: any, onerror: any): any;
+}
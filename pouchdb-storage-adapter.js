@@ -0,0 +1,295 @@
+/**
+@license
+Copyright 2020 The Advanced REST client authors <arc@mulesoft.com>
+Licensed under the Apache License, Version 2.0 (the "License"); you may not
+use this file except in compliance with the License. You may obtain a copy of
+the License at
+http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+License for the specific language governing permissions and limitations under
+the License.
+*/
+/**
+ * Number of history documents read in a single batch.
+ */
+const HISTORY_BATCH_SIZE = 500;
+/**
+ * A storage adapter that reads and writes legacy projects and saved requests
+ * in PouchDB data stores. This is the default adapter of the
+ * `legacyproject-related-requests` element.
+ *
+ * A storage adapter is an object with the following methods:
+ *
+ * - `getProject(id)` - resolves to a project document or rejects with
+ * an error with `status` 404 when the project does not exist
+ * - `getProjects(ids)` - resolves to a list of project documents in order
+ * of `ids`, `undefined` for a project that does not exist
+ * - `getRequests(keys)` - resolves to a list of request documents in order
+ * of `keys`, `undefined` for a request that does not exist
+ * - `listRequestIds()` - resolves to a list of all requests IDs
+ * - `listRequests()` - resolves to a list of all request documents
+ * - `listHistory()` - optional, resolves to a list of all history requests,
+ * each with at least `_id`, `method`, `url` and `created` or `updated`
+ * properties
+ * - `watchRequests(onchange, onerror)` - listens for changes to requests
+ * - `watchProjects(ids, onchange, onerror)` - listens for changes to projects
+ * - `putProject(doc)` - creates or updates a project document, resolves to
+ * an object with `id` and `rev` properties
+ * - `putRequests(docs)` - creates or updates request documents, resolves to
+ * a list of write results, each with `id` and `rev` or `error` and `status`
+ * properties
+ *
+ * Watch functions call `onchange` with an object with `id`, `doc` and
+ * `deleted` properties and return an object with the `cancel()` function.
+ *
+ * An adapter may have the `cacheScope` property that identifies its data
+ * stores. Lists of requests read through adapters with the same scope
+ * are cached and shared between elements. When the property is not set
+ * the lists are not cached.
+ *
+ * The adapter uses the `PouchDB` constructor passed to the constructor
+ * or the global `PouchDB` object.
+ *
+ * ### Example
+ *
+ * ```javascript
+ * const adapter = new PouchDbStorageAdapter({
+ *  savedName: 'my-requests',
+ *  projectName: 'my-projects'
+ * });
+ * element.adapter = adapter;
+ * ```
+ */
+export class PouchDbStorageAdapter {
+  /**
+   * @param {Object=} opts Adapter options
+   * @param {String=} opts.savedName Name of the saved requests data store.
+   * Default to `saved-requests`.
+   * @param {String=} opts.projectName Name of the legacy projects data store.
+   * Default to `legacy-projects`.
+   * @param {String=} opts.historyName Name of the history requests data store.
+   * Default to `history-requests`.
+   * @param {Function=} opts.PouchDB The PouchDB constructor. Default to
+   * the global `PouchDB`.
+   */
+  constructor(opts = {}) {
+    this.savedName = opts.savedName || 'saved-requests';
+    this.projectName = opts.projectName || 'legacy-projects';
+    this.historyName = opts.historyName || 'history-requests';
+    this.PouchDB = opts.PouchDB;
+  }
+  /**
+   * @return {String} Identifier of the data stores used by the adapter.
+   */
+  get cacheScope() {
+    return `${this.savedName}/${this.projectName}`;
+  }
+  /**
+   * @return {Object} A handler to the saved requests store instance.
+   */
+  get savedDb() {
+    if (!this._savedDb) {
+      this._savedDb = this._createDb(this.savedName, '_savedDb');
+    }
+    return this._savedDb;
+  }
+  /**
+   * @return {Object} A handler to the legacy projects store instance.
+   */
+  get projectDb() {
+    if (!this._projectDb) {
+      this._projectDb = this._createDb(this.projectName, '_projectDb');
+    }
+    return this._projectDb;
+  }
+  /**
+   * @return {Object} A handler to the history requests store instance.
+   */
+  get historyDb() {
+    if (!this._historyDb) {
+      this._historyDb = this._createDb(this.historyName, '_historyDb');
+    }
+    return this._historyDb;
+  }
+  /**
+   * Creates a PouchDB instance. The instance is released when the data store
+   * is destroyed so next call creates a new one.
+   *
+   * @param {String} name Data store name
+   * @param {String} cacheKey Name of the property that keeps the instance.
+   * @return {Object} PouchDB instance
+   */
+  _createDb(name, cacheKey) {
+    /* global PouchDB */
+    const Ctor = this.PouchDB || PouchDB;
+    const db = new Ctor(name);
+    db.once('destroyed', () => {
+      if (this[cacheKey] === db) {
+        this[cacheKey] = undefined;
+      }
+    });
+    return db;
+  }
+  /**
+   * Reads a project document.
+   *
+   * @param {String} id Project ID
+   * @return {Promise<Object>} Promise resolved to the project document.
+   */
+  async getProject(id) {
+    return await this.projectDb.get(id);
+  }
+  /**
+   * Reads multiple project documents in a single request.
+   *
+   * @param {Array<String>} ids List of projects IDs
+   * @return {Promise<Array<Object|undefined>>} List of projects in order
+   * of `ids`.
+   */
+  async getProjects(ids) {
+    return await this._readBulk(this.projectDb, ids);
+  }
+  /**
+   * Reads multiple request documents in a single request.
+   *
+   * @param {Array<String>} keys List of requests IDs
+   * @return {Promise<Array<Object|undefined>>} List of requests in order
+   * of `keys`.
+   */
+  async getRequests(keys) {
+    return await this._readBulk(this.savedDb, keys);
+  }
+  /**
+   * Lists IDs of all requests in the saved requests store.
+   *
+   * @return {Promise<Array<String>>}
+   */
+  async listRequestIds() {
+    const response = await this.savedDb.allDocs();
+    return response.rows.map((item) => item.id);
+  }
+  /**
+   * Reads all request documents.
+   *
+   * @return {Promise<Array<Object>>} List of all requests.
+   */
+  async listRequests() {
+    const response = await this.savedDb.allDocs({ include_docs: true });
+    return response.rows.map((item) => item.doc);
+  }
+  /**
+   * Lists all history requests. History documents are read in batches of
+   * `HISTORY_BATCH_SIZE` documents and only the `_id`, `method`, `url`,
+   * `created` and `updated` properties are kept in the result.
+   *
+   * @return {Promise<Array<Object>>} List of all history requests.
+   */
+  async listHistory() {
+    const db = this.historyDb;
+    const result = [];
+    const opts = {
+      include_docs: true,
+      limit: HISTORY_BATCH_SIZE
+    };
+    for (;;) {
+      const response = await db.allDocs(opts);
+      const { rows } = response;
+      rows.forEach((item) => {
+        if (item.doc && item.id.indexOf('_design/') !== 0) {
+          result.push(this._historyEntry(item.doc));
+        }
+      });
+      if (rows.length < HISTORY_BATCH_SIZE) {
+        return result;
+      }
+      opts.startkey = rows[rows.length - 1].id;
+      opts.skip = 1;
+    }
+  }
+  /**
+   * @param {Object} doc History request document
+   * @return {Object} The history request with the properties that are used
+   * to link it with saved requests.
+   */
+  _historyEntry(doc) {
+    const { _id, method, url, created, updated } = doc;
+    return {
+      _id,
+      method,
+      url,
+      created,
+      updated
+    };
+  }
+  /**
+   * Listens to the changes feed of the saved requests store.
+   *
+   * @param {Function} onchange Called with a change object.
+   * @param {Function=} onerror Called with the feed error.
+   * @return {Object} The changes feed with the `cancel()` function.
+   */
+  watchRequests(onchange, onerror) {
+    return this._watch(this.savedDb, {}, onchange, onerror);
+  }
+  /**
+   * Listens to the changes feed of the legacy projects store.
+   *
+   * @param {Array<String>} ids List of projects IDs to observe.
+   * @param {Function} onchange Called with a change object.
+   * @param {Function=} onerror Called with the feed error.
+   * @return {Object} The changes feed with the `cancel()` function.
+   */
+  watchProjects(ids, onchange, onerror) {
+    return this._watch(this.projectDb, { doc_ids: ids }, onchange, onerror);
+  }
+  /**
+   * Creates or updates a project document.
+   *
+   * @param {Object} doc Project document
+   * @return {Promise<Object>} Promise resolved to an object with `id`
+   * and `rev` properties.
+   */
+  async putProject(doc) {
+    return await this.projectDb.put(doc);
+  }
+  /**
+   * Creates or updates request documents in a single request.
+   *
+   * @param {Array<Object>} docs List of request documents
+   * @return {Promise<Array<Object>>} Promise resolved to a list of write
+   * results in order of `docs`. Failed writes have `error` and `status`
+   * properties.
+   */
+  async putRequests(docs) {
+    return await this.savedDb.bulkDocs(docs);
+  }
+
+  async _readBulk(db, keys) {
+    const response = await db.allDocs({
+      include_docs: true,
+      keys
+    });
+    return response.rows.map((item) => {
+      if (item.error || !item.doc) {
+        return undefined;
+      }
+      return item.doc;
+    });
+  }
+
+  _watch(db, opts, onchange, onerror) {
+    const options = Object.assign({
+      since: 'now',
+      live: true,
+      include_docs: true
+    }, opts);
+    const feed = db.changes(options);
+    feed.on('change', onchange);
+    if (onerror) {
+      feed.on('error', onerror);
+    }
+    return feed;
+  }
+}
@@ -0,0 +1,93 @@
+/**
+ * DO NOT EDIT
+ *
+ * This file was automatically generated by
+ *   https://github.com/Polymer/tools/tree/master/packages/gen-typescript-declarations
+ *
+ * To modify these typings, edit the source file(s):
+ *   project-exporter.js
+ */
+
+
+// tslint:disable:variable-name Describing an API that's defined elsewhere.
+// tslint:disable:no-any describes the API as best we are able today
+
+export {POSTMAN_SCHEMA};
+
+/**
+ * Postman collection format v2.1 schema URL.
+ */
+declare const POSTMAN_SCHEMA: string;
+
+export {parseHeaders};
+
+
+/**
+ * Parses ARC headers string to a list of name and value pairs.
+ *
+ * @param headers HTTP headers string
+ * @returns List of objects with `name` and `value` properties.
+ */
+declare function parseHeaders(headers: String|null): Array<object|null>|null;
+
+export {parseQueryString};
+
+
+/**
+ * Reads query parameters from an URL.
+ *
+ * @param url The URL
+ * @returns List of objects with `name` and `value` properties.
+ */
+declare function parseQueryString(url: String|null): Array<object|null>|null;
+
+export {exportArc};
+
+
+/**
+ * Creates ARC export object with the project and its requests.
+ *
+ * @param project Project document
+ * @param requests List of request objects
+ * @returns ARC export object
+ */
+declare function exportArc(project: object|null, requests: Array<object|null>|null): object|null;
+
+export {exportPostman};
+
+
+/**
+ * Creates Postman v2.1 collection with the project and its requests.
+ *
+ * @param project Project document
+ * @param requests List of request objects
+ * @returns Postman collection
+ */
+declare function exportPostman(project: object|null, requests: Array<object|null>|null): object|null;
+
+export {exportHar};
+
+
+/**
+ * Creates HAR log with the project and its requests.
+ * Each request is an entry of a single page that represents the project.
+ * Saved requests have no responses so the entries have empty responses.
+ *
+ * @param project Project document
+ * @param requests List of request objects
+ * @returns HAR object
+ */
+declare function exportHar(project: object|null, requests: Array<object|null>|null): object|null;
+
+export {createExport};
+
+
+/**
+ * Writes a project and its requests to a format.
+ *
+ * @param format One of `arc`, `postman` or `har`.
+ * @param project Project document
+ * @param requests List of request objects
+ * @returns Export object
+ */
+declare function createExport(format: String|null, project: object|null, requests: Array<object|null>|null): object|null;
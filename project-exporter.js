@@ -0,0 +1,252 @@
+/**
+@license
+Copyright 2020 The Advanced REST client authors <arc@mulesoft.com>
+Licensed under the Apache License, Version 2.0 (the "License"); you may not
+use this file except in compliance with the License. You may obtain a copy of
+the License at
+http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+License for the specific language governing permissions and limitations under
+the License.
+*/
+/**
+ * Functions that write a legacy project and its requests to export formats:
+ * ARC export object, Postman v2.1 collection and HAR log.
+ *
+ * The requests are expected to be full request objects in the order
+ * they should appear in the export.
+ */
+
+/**
+ * Postman collection format v2.1 schema URL.
+ */
+export const POSTMAN_SCHEMA = 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json';
+
+/**
+ * Parses ARC headers string to a list of name and value pairs.
+ *
+ * @param {?String} headers HTTP headers string
+ * @return {Array<Object>} List of objects with `name` and `value` properties.
+ */
+export function parseHeaders(headers) {
+  if (!headers || typeof headers !== 'string') {
+    return [];
+  }
+  const result = [];
+  headers.split(/\r?\n/).forEach((line) => {
+    const index = line.indexOf(':');
+    if (index <= 0) {
+      return;
+    }
+    result.push({
+      name: line.substr(0, index).trim(),
+      value: line.substr(index + 1).trim()
+    });
+  });
+  return result;
+}
+/**
+ * Reads query parameters from an URL.
+ *
+ * @param {?String} url The URL
+ * @return {Array<Object>} List of objects with `name` and `value` properties.
+ */
+export function parseQueryString(url) {
+  if (!url) {
+    return [];
+  }
+  let index = url.indexOf('?');
+  if (index === -1) {
+    return [];
+  }
+  let query = url.substr(index + 1);
+  index = query.indexOf('#');
+  if (index !== -1) {
+    query = query.substr(0, index);
+  }
+  const result = [];
+  query.split('&').forEach((part) => {
+    if (!part) {
+      return;
+    }
+    const [name, ...value] = part.split('=');
+    result.push({
+      name,
+      value: value.join('=')
+    });
+  });
+  return result;
+}
+/**
+ * Creates ARC export object with the project and its requests.
+ *
+ * @param {Object} project Project document
+ * @param {Array<Object>} requests List of request objects
+ * @return {Object} ARC export object
+ */
+export function exportArc(project, requests) {
+  const projectItem = Object.assign({}, project, {
+    key: project._id,
+    kind: 'ARC#ProjectData',
+    requests: requests.map((item) => item._id)
+  });
+  delete projectItem._id;
+  delete projectItem._rev;
+  return {
+    createdAt: new Date().toISOString(),
+    kind: 'ARC#AllDataExport',
+    projects: [projectItem],
+    requests: requests.map((request, index) => {
+      const item = Object.assign({}, request, {
+        key: request._id,
+        kind: 'ARC#RequestData',
+        projectOrder: index,
+        projects: [project._id]
+      });
+      delete item._id;
+      delete item._rev;
+      delete item.legacyProject;
+      return item;
+    })
+  };
+}
+/**
+ * Creates Postman v2.1 collection with the project and its requests.
+ *
+ * @param {Object} project Project document
+ * @param {Array<Object>} requests List of request objects
+ * @return {Object} Postman collection
+ */
+export function exportPostman(project, requests) {
+  const info = {
+    _postman_id: project._id,
+    name: project.name || '',
+    schema: POSTMAN_SCHEMA
+  };
+  if (project.description) {
+    info.description = project.description;
+  }
+  return {
+    info,
+    item: requests.map((request) => {
+      const item = {
+        name: request.name || '',
+        request: {
+          method: request.method || 'GET',
+          header: parseHeaders(request.headers).map((header) => {
+            return {
+              key: header.name,
+              value: header.value
+            };
+          }),
+          url: {
+            raw: request.url || ''
+          }
+        }
+      };
+      if (request.description) {
+        item.request.description = request.description;
+      }
+      if (request.payload && typeof request.payload === 'string') {
+        item.request.body = {
+          mode: 'raw',
+          raw: request.payload
+        };
+      }
+      return item;
+    })
+  };
+}
+/**
+ * Creates HAR log with the project and its requests.
+ * Each request is an entry of a single page that represents the project.
+ * Saved requests have no responses so the entries have empty responses.
+ *
+ * @param {Object} project Project document
+ * @param {Array<Object>} requests List of request objects
+ * @return {Object} HAR object
+ */
+export function exportHar(project, requests) {
+  const startedDateTime = new Date().toISOString();
+  return {
+    log: {
+      version: '1.2',
+      creator: {
+        name: 'Advanced REST Client',
+        version: '1.0'
+      },
+      pages: [{
+        id: project._id,
+        title: project.name || '',
+        startedDateTime,
+        pageTimings: {}
+      }],
+      entries: requests.map((request) => {
+        const headers = parseHeaders(request.headers);
+        const harRequest = {
+          method: request.method || 'GET',
+          url: request.url || '',
+          httpVersion: 'HTTP/1.1',
+          cookies: [],
+          headers,
+          queryString: parseQueryString(request.url),
+          headersSize: -1,
+          bodySize: -1
+        };
+        if (request.payload && typeof request.payload === 'string') {
+          const contentType = headers.find((item) => item.name.toLowerCase() === 'content-type');
+          harRequest.postData = {
+            mimeType: contentType ? contentType.value : '',
+            text: request.payload
+          };
+          harRequest.bodySize = request.payload.length;
+        }
+        return {
+          pageref: project._id,
+          startedDateTime,
+          time: 0,
+          comment: request.name || '',
+          request: harRequest,
+          response: {
+            status: 0,
+            statusText: '',
+            httpVersion: 'HTTP/1.1',
+            cookies: [],
+            headers: [],
+            content: {
+              size: 0,
+              mimeType: ''
+            },
+            redirectURL: '',
+            headersSize: -1,
+            bodySize: -1
+          },
+          cache: {},
+          timings: {
+            send: 0,
+            wait: 0,
+            receive: 0
+          }
+        };
+      })
+    }
+  };
+}
+/**
+ * Writes a project and its requests to a format.
+ *
+ * @param {String} format One of `arc`, `postman` or `har`.
+ * @param {Object} project Project document
+ * @param {Array<Object>} requests List of request objects
+ * @return {Object} Export object
+ */
+export function createExport(format, project, requests) {
+  switch (format) {
+    case 'arc': return exportArc(project, requests);
+    case 'postman': return exportPostman(project, requests);
+    case 'har': return exportHar(project, requests);
+    default: throw new Error(`Unknown export format: ${format}`);
+  }
+}
@@ -0,0 +1,79 @@
+/**
+ * DO NOT EDIT
+ *
+ * This file was automatically generated by
+ *   https://github.com/Polymer/tools/tree/master/packages/gen-typescript-declarations
+ *
+ * To modify these typings, edit the source file(s):
+ *   project-importer.js
+ */
+
+
+// tslint:disable:variable-name Describing an API that's defined elsewhere.
+// tslint:disable:no-any describes the API as best we are able today
+
+export {generateId};
+
+
+/**
+ * Generates a random, UUID like, identifier of a document.
+ */
+declare function generateId(): String|null;
+
+export {isPostmanCollection};
+
+
+/**
+ * Tests whether the object is a Postman v2 collection.
+ *
+ * @param data Import object
+ */
+declare function isPostmanCollection(data: object|null): Boolean|null;
+
+export {isArcExport};
+
+
+/**
+ * Tests whether the object is an ARC export object.
+ *
+ * @param data Import object
+ */
+declare function isArcExport(data: object|null): Boolean|null;
+
+export {readPostman};
+
+
+/**
+ * Reads a project from Postman v2 collection.
+ * Requests in folders are added to the project in the folder order.
+ *
+ * @param data Postman collection
+ * @returns Import result
+ */
+declare function readPostman(data: object|null): object|null;
+
+export {readArc};
+
+
+/**
+ * Reads a project from ARC export object. When the export has more than one
+ * project then the first project is imported. Requests that do not belong
+ * to the project are skipped. When the export has no projects then all
+ * requests are imported.
+ *
+ * @param data ARC export object
+ * @returns Import result
+ */
+declare function readArc(data: object|null): object|null;
+
+export {readImport};
+
+
+/**
+ * Reads a project and its requests from an import payload.
+ *
+ * @param payload Postman v2 collection or ARC export object,
+ * or its JSON string.
+ * @returns Import result
+ */
+declare function readImport(payload: object|String|null): object|null;
@@ -0,0 +1,289 @@
+/**
+@license
+Copyright 2020 The Advanced REST client authors <arc@mulesoft.com>
+Licensed under the Apache License, Version 2.0 (the "License"); you may not
+use this file except in compliance with the License. You may obtain a copy of
+the License at
+http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+License for the specific language governing permissions and limitations under
+the License.
+*/
+/**
+ * Functions that read a legacy project and its requests from import formats:
+ * Postman v2.1 (and v2.0) collection and ARC export object.
+ *
+ * The result of `readImport()` is an object with the `project` (project
+ * properties), `requests` (list of request properties) and `report`
+ * (list of per-item reports) properties. Each report item has `index`,
+ * `name` and `status` (`imported` or `skipped`) properties and `reason`
+ * when the item is skipped.
+ */
+
+/**
+ * Generates a random, UUID like, identifier of a document.
+ *
+ * @return {String}
+ */
+export function generateId() {
+  const bytes = new Array(16);
+  const { crypto } = globalThis;
+  if (crypto && crypto.getRandomValues) {
+    const random = crypto.getRandomValues(new Uint8Array(16));
+    for (let i = 0; i < 16; i++) {
+      bytes[i] = random[i];
+    }
+  } else {
+    for (let i = 0; i < 16; i++) {
+      bytes[i] = Math.floor(Math.random() * 256);
+    }
+  }
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = bytes.map((byte) => (byte + 0x100).toString(16).substr(1)).join('');
+  return `${hex.substr(0, 8)}-${hex.substr(8, 4)}-${hex.substr(12, 4)}-${hex.substr(16, 4)}-${hex.substr(20)}`;
+}
+/**
+ * Tests whether the object is a Postman v2 collection.
+ *
+ * @param {Object} data Import object
+ * @return {Boolean}
+ */
+export function isPostmanCollection(data) {
+  const info = data.info;
+  if (!info || !Array.isArray(data.item)) {
+    return false;
+  }
+  const schema = info.schema || '';
+  return schema.indexOf('/collection/v2.') !== -1;
+}
+/**
+ * Tests whether the object is an ARC export object.
+ *
+ * @param {Object} data Import object
+ * @return {Boolean}
+ */
+export function isArcExport(data) {
+  if (data.kind === 'ARC#AllDataExport') {
+    return true;
+  }
+  return Array.isArray(data.requests) && Array.isArray(data.projects);
+}
+/**
+ * Reads a project from Postman v2 collection.
+ * Requests in folders are added to the project in the folder order.
+ *
+ * @param {Object} data Postman collection
+ * @return {Object} Import result
+ */
+export function readPostman(data) {
+  const info = data.info;
+  const project = {
+    name: info.name || 'Imported project'
+  };
+  const description = typeof info.description === 'string' ?
+    info.description : info.description && info.description.content;
+  if (description) {
+    project.description = description;
+  }
+  const requests = [];
+  const report = [];
+  const items = flattenPostmanItems(data.item);
+  items.forEach((item, index) => {
+    const name = item && item.name || '';
+    const request = item && item.request;
+    if (!request) {
+      report.push({ index, name, status: 'skipped', reason: 'The item has no request' });
+      return;
+    }
+    const url = readPostmanUrl(typeof request === 'string' ? request : request.url);
+    if (!url) {
+      report.push({ index, name, status: 'skipped', reason: 'The request has no URL' });
+      return;
+    }
+    const result = {
+      name: name || url,
+      method: (request.method || 'GET').toUpperCase(),
+      url
+    };
+    const headers = (request.header || [])
+      .filter((header) => header && header.key && !header.disabled)
+      .map((header) => `${header.key}: ${header.value || ''}`);
+    if (headers.length) {
+      result.headers = headers.join('\n');
+    }
+    const body = readPostmanBody(request.body);
+    if (body) {
+      result.payload = body;
+    }
+    if (typeof request.description === 'string' && request.description) {
+      result.description = request.description;
+    }
+    requests.push(result);
+    const reportItem = { index, name: result.name, status: 'imported' };
+    if (request.body && body === undefined && request.body.mode) {
+      reportItem.reason = `Unsupported body mode: ${request.body.mode}`;
+    }
+    report.push(reportItem);
+  });
+  return { project, requests, report };
+}
+/**
+ * Creates a flat list of Postman items. Folders are replaced by their items.
+ *
+ * @param {Array<Object>} items Postman items
+ * @return {Array<Object>} Flat list of items.
+ */
+function flattenPostmanItems(items) {
+  let result = [];
+  (items || []).forEach((item) => {
+    if (item && Array.isArray(item.item)) {
+      result = result.concat(flattenPostmanItems(item.item));
+    } else {
+      result.push(item);
+    }
+  });
+  return result;
+}
+/**
+ * @param {String|Object} url Postman URL definition
+ * @return {String|undefined} The URL string.
+ */
+function readPostmanUrl(url) {
+  if (!url) {
+    return undefined;
+  }
+  if (typeof url === 'string') {
+    return url;
+  }
+  if (url.raw) {
+    return url.raw;
+  }
+  if (!url.host) {
+    return undefined;
+  }
+  const host = Array.isArray(url.host) ? url.host.join('.') : url.host;
+  const path = Array.isArray(url.path) ? url.path.join('/') : (url.path || '');
+  let result = url.protocol ? `${url.protocol}://${host}` : host;
+  if (path) {
+    result += `/${path.replace(/^\//, '')}`;
+  }
+  return result;
+}
+/**
+ * @param {Object} body Postman request body definition
+ * @return {String|undefined} The body as a string or undefined when
+ * the body mode is not supported.
+ */
+function readPostmanBody(body) {
+  if (!body) {
+    return undefined;
+  }
+  switch (body.mode) {
+    case 'raw': return body.raw || undefined;
+    case 'urlencoded':
+      return (body.urlencoded || [])
+        .filter((item) => !item.disabled)
+        .map((item) => `${encodeURIComponent(item.key)}=${encodeURIComponent(item.value || '')}`)
+        .join('&') || undefined;
+    default: return undefined;
+  }
+}
+/**
+ * Reads a project from ARC export object. When the export has more than one
+ * project then the first project is imported. Requests that do not belong
+ * to the project are skipped. When the export has no projects then all
+ * requests are imported.
+ *
+ * @param {Object} data ARC export object
+ * @return {Object} Import result
+ */
+export function readArc(data) {
+  const projects = data.projects || [];
+  const source = projects[0];
+  const project = {
+    name: source && source.name || 'Imported project'
+  };
+  if (source && source.description) {
+    project.description = source.description;
+  }
+  const key = source && (source.key || source._id);
+  const order = source && source.requests || [];
+  const items = (data.requests || []).map((item, index) => {
+    return { item, index };
+  });
+  const rank = (item) => {
+    const index = order.indexOf(item && (item.key || item._id));
+    return index === -1 ? order.length : index;
+  };
+  if (order.length) {
+    items.sort((a, b) => rank(a.item) - rank(b.item));
+  }
+  const requests = [];
+  const report = [];
+  items.forEach(({ item, index }) => {
+    const name = item && item.name || '';
+    if (!item || typeof item !== 'object') {
+      report.push({ index, name, status: 'skipped', reason: 'The item is not a request object' });
+      return;
+    }
+    if (key && !belongsTo(item, key) && order.indexOf(item.key || item._id) === -1) {
+      report.push({ index, name, status: 'skipped', reason: 'The request is not in the project' });
+      return;
+    }
+    if (!item.url) {
+      report.push({ index, name, status: 'skipped', reason: 'The request has no URL' });
+      return;
+    }
+    const request = Object.assign({}, item);
+    ['_id', '_rev', 'key', 'kind', 'projects', 'legacyProject', 'projectOrder'].forEach((prop) => {
+      delete request[prop];
+    });
+    request.name = name || item.url;
+    request.method = (item.method || 'GET').toUpperCase();
+    requests.push(request);
+    report.push({ index, name: request.name, status: 'imported' });
+  });
+  return { project, requests, report };
+}
+/**
+ * @param {Object} item ARC request object
+ * @param {String} key Project key
+ * @return {Boolean} True when the request references the project.
+ */
+function belongsTo(item, key) {
+  if (item.legacyProject === key) {
+    return true;
+  }
+  return Array.isArray(item.projects) && item.projects.indexOf(key) !== -1;
+}
+/**
+ * Reads a project and its requests from an import payload.
+ *
+ * @param {Object|String} payload Postman v2 collection or ARC export object,
+ * or its JSON string.
+ * @return {Object} Import result
+ * @throws {Error} When the payload is not valid or its format is unknown.
+ */
+export function readImport(payload) {
+  let data = payload;
+  if (typeof data === 'string') {
+    try {
+      data = JSON.parse(data);
+    } catch (e) {
+      throw new Error('The import payload is not a valid JSON');
+    }
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('The import payload must be an object');
+  }
+  if (isPostmanCollection(data)) {
+    return readPostman(data);
+  }
+  if (isArcExport(data)) {
+    return readArc(data);
+  }
+  throw new Error('Unknown import format');
+}
@@ -0,0 +1,45 @@
+/**
+ * DO NOT EDIT
+ *
+ * This file was automatically generated by
+ *   https://github.com/Polymer/tools/tree/master/packages/gen-typescript-declarations
+ *
+ * To modify these typings, edit the source file(s):
+ *   project-query-error.js
+ */
+
+
+// tslint:disable:variable-name Describing an API that's defined elsewhere.
+// tslint:disable:no-any describes the API as best we are able today
+
+export {ErrorCodes};
+
+/**
+ * Codes of errors reported by the `legacyproject-related-requests` element.
+ */
+declare const ErrorCodes: {
+  PROJECT_NOT_FOUND: string,
+  DATABASE_UNAVAILABLE: string,
+  PARTIAL_READ: string,
+  ABORTED: string
+};
+
+export {ProjectQueryError};
+
+/**
+ * An error of a query for project requests.
+ * Errors with the `aborted` code have the `AbortError` name.
+ */
+declare class ProjectQueryError extends Error {
+  code: string;
+  projectId: string|undefined;
+  missing: Array<string>;
+  cause: Error|undefined;
+
+  /**
+   * @param code Error code, one of `ErrorCodes`
+   * @param message Error message
+   * @param opts Additional error properties
+   */
+  constructor(code: String|null, message: String|null, opts?: {projectId?: string, missing?: Array<string>, cause?: Error});
+}
@@ -0,0 +1,50 @@
+/**
+@license
+Copyright 2020 The Advanced REST client authors <arc@mulesoft.com>
+Licensed under the Apache License, Version 2.0 (the "License"); you may not
+use this file except in compliance with the License. You may obtain a copy of
+the License at
+http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+License for the specific language governing permissions and limitations under
+the License.
+*/
+/**
+ * Codes of errors reported by the `legacyproject-related-requests` element.
+ *
+ * - `project-not-found` - the project document does not exist
+ * - `database-unavailable` - the data store cannot be read
+ * - `partial-read` - some requests listed in the project do not exist,
+ * the `missing` property of the error has their IDs
+ * - `aborted` - the query has been aborted
+ */
+export const ErrorCodes = Object.freeze({
+  PROJECT_NOT_FOUND: 'project-not-found',
+  DATABASE_UNAVAILABLE: 'database-unavailable',
+  PARTIAL_READ: 'partial-read',
+  ABORTED: 'aborted'
+});
+/**
+ * An error of a query for project requests.
+ * Errors with the `aborted` code have the `AbortError` name.
+ */
+export class ProjectQueryError extends Error {
+  /**
+   * @param {String} code Error code, one of `ErrorCodes`
+   * @param {String} message Error message
+   * @param {Object=} opts Additional error properties
+   * @param {String=} opts.projectId The queried project ID
+   * @param {Array<String>=} opts.missing IDs of requests that do not exist
+   * @param {Error=} opts.cause The original error
+   */
+  constructor(code, message, opts = {}) {
+    super(message);
+    this.name = code === ErrorCodes.ABORTED ? 'AbortError' : 'ProjectQueryError';
+    this.code = code;
+    this.projectId = opts.projectId;
+    this.missing = opts.missing || [];
+    this.cause = opts.cause;
+  }
+}
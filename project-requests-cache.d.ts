@@ -0,0 +1,90 @@
+/**
+ * DO NOT EDIT
+ *
+ * This file was automatically generated by
+ *   https://github.com/Polymer/tools/tree/master/packages/gen-typescript-declarations
+ *
+ * To modify these typings, edit the source file(s):
+ *   project-requests-cache.js
+ */
+
+
+// tslint:disable:variable-name Describing an API that's defined elsewhere.
+// tslint:disable:no-any describes the API as best we are able today
+
+export {ProjectRequestsCache};
+
+/**
+ * A cache of lists of requests related to a project. Entries are kept
+ * by a data store scope, project ID and a projection of request objects
+ * so elements that show different fields of the same project do not
+ * share a list.
+ */
+declare class ProjectRequestsCache {
+  maxSize: number;
+  maxAge: number;
+
+  /**
+   * Number of entries in the cache, including expired ones.
+   */
+  readonly size: Number|null;
+
+  /**
+   * @param opts Cache options
+   */
+  constructor(opts?: {maxSize?: number, maxAge?: number});
+
+  /**
+   * Reads an entry from the cache.
+   *
+   * @param scope Data store scope
+   * @param projectId Project ID
+   * @param projection Projection of requests objects
+   * @returns A copy of the entry with `projectKeys`,
+   * `items`, `meta` and `missing` properties or `undefined` when the entry does not
+   * exist or is expired.
+   */
+  get(scope: String|null, projectId: String|null, projection: String|null): object|undefined;
+
+  /**
+   * Stores an entry in the cache.
+   *
+   * @param scope Data store scope
+   * @param projectId Project ID
+   * @param projection Projection of requests objects
+   * @param entry The entry to store
+   */
+  set(scope: String|null, projectId: String|null, projection: String|null, entry: {projectKeys: Array<String|null>|null, items: Array<object|null>|null, meta?: Array<object|null>, missing?: Array<String|null>}): void;
+
+  /**
+   * Removes all entries of a project.
+   *
+   * @param scope Data store scope
+   * @param projectId Project ID
+   */
+  delete(scope: String|null, projectId: String|null): void;
+
+  /**
+   * Removes entries of a data store scope that match a test function.
+   *
+   * @param scope Data store scope
+   * @param test A function called with an entry. When it returns
+   * `true` the entry is removed.
+   */
+  invalidate(scope: String|null, test: Function|null): void;
+
+  /**
+   * Removes all entries.
+   */
+  clear(): void;
+  _key(scope: any, projectId: any, projection: any): any;
+  _copy(entry: any): any;
+}
+
+export {sharedCache};
+
+/**
+ * The cache instance shared by all `legacyproject-related-requests`
+ * elements.
+ */
+declare const sharedCache: ProjectRequestsCache;
@@ -0,0 +1,142 @@
+/**
+@license
+Copyright 2020 The Advanced REST client authors <arc@mulesoft.com>
+Licensed under the Apache License, Version 2.0 (the "License"); you may not
+use this file except in compliance with the License. You may obtain a copy of
+the License at
+http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+License for the specific language governing permissions and limitations under
+the License.
+*/
+/**
+ * A cache of lists of requests related to a project. Entries are kept
+ * by a data store scope, project ID and a projection of request objects
+ * so elements that show different fields of the same project do not
+ * share a list.
+ *
+ * The cache keeps at most `maxSize` entries and removes the least recently
+ * used entry when the limit is reached. An entry older than `maxAge`
+ * milliseconds is not returned.
+ *
+ * Stored and returned entries are copies so changes made to the lists
+ * by one element are not visible to other elements.
+ */
+export class ProjectRequestsCache {
+  /**
+   * @param {Object=} opts Cache options
+   * @param {Number=} opts.maxSize Maximum number of entries. Default to 50.
+   * @param {Number=} opts.maxAge Number of milliseconds after which an entry
+   * expires. Default to 5 minutes.
+   */
+  constructor(opts = {}) {
+    this.maxSize = opts.maxSize || 50;
+    this.maxAge = opts.maxAge || 300000;
+    this._entries = new Map();
+  }
+  /**
+   * @return {Number} Number of entries in the cache, including expired ones.
+   */
+  get size() {
+    return this._entries.size;
+  }
+  /**
+   * Reads an entry from the cache.
+   *
+   * @param {String} scope Data store scope
+   * @param {String} projectId Project ID
+   * @param {String} projection Projection of requests objects
+   * @return {Object|undefined} A copy of the entry with `projectKeys`,
+   * `items`, `meta` and `missing` properties or `undefined` when the entry does not
+   * exist or is expired.
+   */
+  get(scope, projectId, projection) {
+    const key = this._key(scope, projectId, projection);
+    const entry = this._entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+    this._entries.delete(key);
+    if (Date.now() - entry.time > this.maxAge) {
+      return undefined;
+    }
+    this._entries.set(key, entry);
+    return this._copy(entry);
+  }
+  /**
+   * Stores an entry in the cache.
+   *
+   * @param {String} scope Data store scope
+   * @param {String} projectId Project ID
+   * @param {String} projection Projection of requests objects
+   * @param {Object} entry The entry to store
+   * @param {Array<String>} entry.projectKeys Project's `requests` list
+   * @param {Array<Object>} entry.items List of project requests
+   * @param {Array<Object>=} entry.meta List of sort properties of the items
+   * @param {Array<String>=} entry.missing List of project's requests
+   * IDs that do not exist
+   */
+  set(scope, projectId, projection, entry) {
+    const key = this._key(scope, projectId, projection);
+    this._entries.delete(key);
+    const value = this._copy(entry);
+    value.scope = scope;
+    value.projectId = projectId;
+    value.time = Date.now();
+    this._entries.set(key, value);
+    while (this._entries.size > this.maxSize) {
+      const oldest = this._entries.keys().next().value;
+      this._entries.delete(oldest);
+    }
+  }
+  /**
+   * Removes all entries of a project.
+   *
+   * @param {String} scope Data store scope
+   * @param {String} projectId Project ID
+   */
+  delete(scope, projectId) {
+    this.invalidate(scope, (entry) => entry.projectId === projectId);
+  }
+  /**
+   * Removes entries of a data store scope that match a test function.
+   *
+   * @param {String} scope Data store scope
+   * @param {Function} test A function called with an entry. When it returns
+   * `true` the entry is removed.
+   */
+  invalidate(scope, test) {
+    for (const [key, entry] of this._entries) {
+      if (entry.scope === scope && test(entry)) {
+        this._entries.delete(key);
+      }
+    }
+  }
+  /**
+   * Removes all entries.
+   */
+  clear() {
+    this._entries.clear();
+  }
+
+  _key(scope, projectId, projection) {
+    return JSON.stringify([scope, projectId, projection]);
+  }
+
+  _copy(entry) {
+    return {
+      projectKeys: [...(entry.projectKeys || [])],
+      items: (entry.items || []).map((item) => Object.assign({}, item)),
+      meta: (entry.meta || []).map((item) => Object.assign({}, item)),
+      missing: [...(entry.missing || [])],
+      projectId: entry.projectId
+    };
+  }
+}
+/**
+ * The cache instance shared by all `legacyproject-related-requests`
+ * elements.
+ */
+export const sharedCache = new ProjectRequestsCache();
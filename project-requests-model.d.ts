@@ -0,0 +1,1257 @@
+/**
+ * DO NOT EDIT
+ *
+ * This file was automatically generated by
+ *   https://github.com/Polymer/tools/tree/master/packages/gen-typescript-declarations
+ *
+ * To modify these typings, edit the source file(s):
+ *   project-requests-model.js
+ */
+
+
+// tslint:disable:variable-name Describing an API that's defined elsewhere.
+// tslint:disable:no-any describes the API as best we are able today
+
+import {ProjectQueryError} from './project-query-error.js';
+
+export {ProjectRequestsMixin};
+
+
+/**
+ * A mixin with the logic of computing a list of requests related to a
+ * project: querying the storage adapter, projection, sorting, filtering,
+ * grouping and updating the list when requests or projects change.
+ *
+ * The mixin does not depend on the DOM. The base class has to implement
+ * the `EventTarget` interface. Events of other components are handled
+ * after the target dispatching them is passed to `_addEventListeners()`
+ * and live feeds are opened when `isConnected` is true.
+ */
+declare function ProjectRequestsMixin<T extends new (...args: any[]) => {}>(base: T): T & ProjectRequestsMixinConstructor;
+
+interface ProjectRequestsMixinConstructor {
+  new(...args: any[]): ProjectRequestsMixin;
+
+  /**
+   * A map of fields that are computed from the request object rather than
+   * read from it. Keys are fields names that can be used in the `fields`
+   * property and values are functions that take the request object and
+   * return the value of the field.
+   */
+  readonly computedFields: {[key: string]: Function|null}|null;
+}
+
+export {ProjectRequestsMixinConstructor};
+
+interface ProjectRequestsMixin {
+  /**
+   * A storage adapter used to read projects and requests.
+   * Default to the `PouchDbStorageAdapter`.
+   */
+  adapter: object|null;
+
+  /**
+   * A handler to the saved store instance, if the adapter
+   * has one.
+   */
+  readonly savedDb: object|null;
+
+  /**
+   * A handler to the projects store instance, if the adapter
+   * has one.
+   */
+  readonly projectDb: object|null;
+
+  /**
+   * An ID of the legacy project. Once changed it queries the datastore for
+   * related requests.
+   */
+  projectId: string|null|undefined;
+  readonly data: Array<object|null>|null;
+  _data: any;
+  readonly querying: Boolean|null;
+  _querying: any;
+
+  /**
+   * An error of the last query for
+   * current project or `undefined` when the query succeeded.
+   */
+  readonly error: ProjectQueryError|undefined;
+  _error: any;
+
+  /**
+   * If `true` then it queries for whole request objects.
+   * Otherwise it only returns the `_rev`, `_id` and properties listed
+   * in `fields`.
+   *
+   * @deprecated Use `fields` to set properties of request objects.
+   */
+  fullQuery: boolean|null|undefined;
+
+  /**
+   * List of request object properties to return with `_id` and `_rev`.
+   * When not set only the `name` property is returned.
+   * It accepts a path to a nested property, e.g. `auth.method`,
+   * and names of computed fields defined in `computedFields`, e.g. `host`.
+   *
+   * When set as an attribute it is a comma or space separated list of
+   * fields.
+   */
+  fields: Array<String|null>|null|undefined;
+
+  /**
+   * When set it listens to the changes feed of the `saved-requests` and
+   * `legacy-projects` data stores and updates the `data` list when
+   * a related document change, even when the change was made outside
+   * this application (another tab, sync process, etc).
+   */
+  live: boolean|null|undefined;
+
+  /**
+   * A list of legacy projects IDs to query for related requests at once.
+   * Once changed it queries the datastore for requests of all projects
+   * and sets the `projectsData` map.
+   */
+  projectIds: Array<String|null>|null|undefined;
+
+  /**
+   * When set the project requests are read in pages of this size.
+   * The `query()` function returns the first page only and
+   * `loadNext()` appends next page to the `data` list.
+   * Pages follow the order of the project's `requests` list, or the order
+   * of requests IDs for a project that uses the legacy ID system, and
+   * the project order sort uses this order instead of `projectOrder`
+   * so appended pages are always at the end of the list.
+   */
+  pageSize: number|null|undefined;
+
+  /**
+   * When set and the project uses the legacy ID system, where requests
+   * are matched by the ID, then the project is migrated with
+   * `migrateLegacyProject()` before the requests are read.
+   */
+  autoMigrate: boolean|null|undefined;
+
+  /**
+   * A text to search for in requests' name, URL, HTTP method, headers
+   * and body. When set the `data` list contains only matching requests.
+   */
+  search: string|null|undefined;
+
+  /**
+   * A map of request properties to values to search for in the property.
+   * Supported properties are `name`, `url`, `method`, `headers`
+   * and `payload`. When set the `data` list contains only requests
+   * that match all values.
+   */
+  filter: object|null|undefined;
+
+  /**
+   * The order of the `data` list. One of `order` (the project order,
+   * default), `name`, `updated` (last update time), `method` or `url`.
+   */
+  sort: string|null|undefined;
+
+  /**
+   * Direction of the `sort` order, either `asc` (default) or `desc`.
+   */
+  sortDirection: string|null|undefined;
+
+  /**
+   * A function that compares two items of the `data` list, the same way
+   * as `Array.prototype.sort()` compare function.
+   * When set it is used instead of the `sort` mode.
+   */
+  comparator: ((a: object, b: object) => number)|null|undefined;
+
+  /**
+   * When set the `groups` list contains requests of the `data` list
+   * grouped by URL `host`, HTTP `method` or URL `path` prefix.
+   */
+  groupBy: string|null|undefined;
+
+  /**
+   * Number of path segments used as a group key when `groupBy`
+   * is `path`. Default to 1.
+   */
+  groupDepth: number|null|undefined;
+
+  /**
+   * Number of milliseconds during which requests deleted from the `data`
+   * list are remembered. Remembered requests restored with the
+   * `request-objects-restored` event are put back on their positions.
+   * Default to 30 seconds. Set to 0 to disable it.
+   */
+  restoreTimeout: number|null|undefined;
+
+  /**
+   * When set the `history-requests` data store is searched for requests
+   * with the same HTTP method and URL as the project requests.
+   * Each item of the `data` list gets the `lastRun` (time of the most
+   * recent matching history request) and `runCount` (number of matching
+   * history requests) properties.
+   * History requests are read without delaying the `data` list. The
+   * properties are added when the history is read.
+   */
+  linkHistory: boolean|null|undefined;
+
+  /**
+   * Statistics of current project's requests:
+   * `total`, `methods` and `hosts` (number of requests per HTTP method and
+   * host), `lastUpdated` (the most recently updated request), `noUrl`
+   * (number of requests without URL) and `dangling` (number of IDs in
+   * project's `requests` that do not exist).
+   */
+  readonly stats: object|undefined;
+  _stats: any;
+
+  /**
+   * List of groups of the `data` list when
+   * `groupBy` is set. Each group has `key`, `count` and `items` properties.
+   */
+  readonly groups: Array<{key: string, count: number, items: Array<object|null>}>|undefined;
+  _groups: any;
+
+  /**
+   * Number of requests on the list regardless
+   * of `search` and `filter` properties.
+   */
+  readonly total: Number|null|undefined;
+  readonly hasMore: Boolean|null;
+  readonly totalCount: Number|null|undefined;
+  readonly projectsData: object|null;
+  _projectsData: any;
+
+  /**
+   * Adds handlers of the request and project events dispatched by other
+   * components to an event target.
+   *
+   * @param target Usually the `window` object.
+   */
+  _addEventListeners(target: EventTarget): void;
+
+  /**
+   * Removes handlers added in `_addEventListeners()`.
+   *
+   * @param target The target passed to `_addEventListeners()`.
+   */
+  _removeEventListeners(target: EventTarget): void;
+
+  /**
+   * Automatically run function when either `opened` or `projectId` change.
+   */
+  _autoQuery(projectId: String|null): any;
+
+  /**
+   * Automatically run function when `projectIds` change.
+   */
+  _autoQueryProjects(projectIds: Array<String|null>|null): any;
+
+  /**
+   * Queries the datastore for related requests list for the project.
+   *
+   * @param id Project ID
+   * @param opts Query options
+   * @returns Promise resolved to the list of related to project
+   * requests.
+   */
+  query(id: String|null, opts?: {signal?: AbortSignal, cache?: Boolean, reject?: Boolean}): Promise<any>|null;
+
+  /**
+   * Re-reads requests of current project from the data store,
+   * bypassing the cache of requests lists shared by the elements.
+   *
+   * @returns Promise resolved when the `data` list is updated.
+   */
+  refresh(): Promise<any>;
+
+  /**
+   * @returns The cache scope of the storage adapter or
+   * `undefined` when requests lists should not be read from or written to
+   * the cache. Lists read in pages are not cached but all instances
+   * invalidate the cache using the adapter's scope.
+   */
+  _cacheScope(): String|undefined;
+
+  /**
+   * @returns A key of the projection of request objects
+   * used by the cache. Lists with history values have separate entries.
+   */
+  _cacheProjection(): String|null;
+
+  /**
+   * Reads a list of project requests from the shared cache.
+   * When `search` or `filter` is set the requests that are not in the
+   * search index are read from the data store.
+   *
+   * @param id Project ID
+   * @returns List of requests or
+   * `undefined` when the list is not cached.
+   */
+  _readCache(id: String|null): Promise<Array<object|null>|undefined>;
+
+  /**
+   * Stores a list of project requests in the shared cache.
+   *
+   * @param id Project ID
+   * @param keys Project's `requests` list
+   * @param items List of project requests
+   * @param missing List of project's requests IDs that
+   * do not exist
+   */
+  _writeCache(id: String|null, keys: Array<String|null>|null, items: Array<object|null>|null, missing?: Array<String|null>): void;
+
+  /**
+   * Stores current `data` list in the shared cache. It does nothing while
+   * the list for current project is being read.
+   */
+  _updateCache(): void;
+
+  /**
+   * Removes cached lists that may contain a changed request.
+   *
+   * @param request Changed request object
+   */
+  _invalidateCache(request: object|null): void;
+
+  /**
+   * Removes cached lists of a project.
+   *
+   * @param id Project ID
+   */
+  _deleteCache(id: String|null): void;
+
+  /**
+   * Marks a start of a datastore query. The `querying` property is `true`
+   * as long as at least one query is running.
+   */
+  _queryStarted(): void;
+
+  /**
+   * Marks an end of a datastore query.
+   */
+  _queryEnded(): void;
+
+  /**
+   * Throws an error when the query has been aborted.
+   *
+   * @param signal The query abort signal
+   */
+  _throwIfAborted(signal?: AbortSignal): void;
+
+  /**
+   * Creates a query error from an error thrown while reading the data store.
+   *
+   * @param id Project ID
+   * @param cause The thrown error
+   */
+  _createQueryError(id: String|null, cause: Error|object|null): ProjectQueryError;
+
+  /**
+   * Creates the `partial-read` error when some of project's requests
+   * do not exist.
+   *
+   * @param id Project ID
+   * @param missing List of requests IDs that do not exist
+   * @returns The error or `undefined` when
+   * the list is empty.
+   */
+  _partialReadError(id: String|null, missing: Array<String|null>|null): ProjectQueryError|undefined;
+
+  /**
+   * Sets the `error` property when the query is made for current project.
+   *
+   * @param id Queried project ID
+   * @param error The query error
+   */
+  _setQueryError(id: String|null, error: ProjectQueryError|undefined): void;
+
+  /**
+   * Reads the first page of project requests and initializes the pagination
+   * state when the query is made for current project.
+   *
+   * @param id Project ID
+   * @param keys Project's `requests` list
+   * @param signal The query abort signal
+   * @returns First page of project requests.
+   */
+  _queryFirstPage(id: String|null, keys: Array<String|null>|null, signal?: AbortSignal): Promise<Array<object|null>|null>;
+
+  /**
+   * Reads next page of requests described by the pagination state and
+   * moves the state's offset. IDs of requests that do not exist are added
+   * to the state's `missing` list. In the project order the page keeps
+   * the order of the state's keys.
+   *
+   * @param state Pagination state
+   * @returns Sorted and scoped list of requests.
+   */
+  _readPage(state: object|null): Promise<Array<object|null>|null>;
+
+  /**
+   * Sets IDs of requests that do not exist in pages read so far and
+   * the partial read error when the pagination state is current one.
+   *
+   * @param state Pagination state
+   */
+  _setPageMissing(state: object|null): void;
+
+  /**
+   * Reads next page of project requests and appends it to the `data` list.
+   * It does nothing when there are no more requests to read.
+   *
+   * @returns Promise resolved to the list of requests
+   * added to the `data` list.
+   */
+  loadNext(): Promise<Array<object|null>|null>;
+
+  /**
+   * Sets the `data` list and notifies about an appended page.
+   *
+   * @param items The whole `data` list.
+   * @param page A list of requests added to the list.
+   */
+  _setPageData(items: Array<object|null>|null, page: Array<object|null>|null): void;
+
+  /**
+   * Dispatches the `data` event.
+   *
+   * @param items The `data` list.
+   * @param page A list of requests of appended page,
+   * when the data are read in pages.
+   */
+  _notifyData(items: Array<object|null>|null, page?: Array<object|null>|null): void;
+
+  /**
+   * @returns True when `search` or `filter` is set.
+   */
+  _isFiltering(): Boolean|null;
+
+  /**
+   * Updates the search index and the filtered list after `search` or `filter`
+   * change and dispatches the `data` event.
+   * When the index has no entries for some requests on the list, they are
+   * read from the data store. The list is not updated when `search` or
+   * `filter` changed while reading. Read errors are reported with the
+   * `send-analytics` event.
+   */
+  _filterChanged(): Promise<any>;
+
+  /**
+   * Adds request objects to the search index.
+   *
+   * @param list List of request objects
+   */
+  _indexItems(list: Array<object|null>|null): void;
+
+  /**
+   * Computes the filtered list of requests when `search` or `filter` is set.
+   */
+  _updateFiltered(): void;
+
+  /**
+   * Tests whether a request matches current `search` and `filter`.
+   *
+   * @param item An item of the `data` list
+   * @returns True when the request matches.
+   */
+  _matchesFilter(item: object|null): Boolean|null;
+
+  /**
+   * Queries the datastore for related requests lists for multiple projects.
+   * It reads all project documents and all requests in a single batch
+   * and then groups requests by a project.
+   *
+   * @param ids List of projects IDs
+   * @returns Promise resolved to a map where keys are
+   * projects IDs and values are lists of related to project requests.
+   */
+  queryProjects(ids: Array<String|null>|null): Promise<object|null>;
+
+  /**
+   * Reads `requests` lists from multiple project documents in a single
+   * request.
+   *
+   * @param ids List of projects IDs
+   * @returns A map where keys are projects IDs and values
+   * are lists of requests IDs. Non existing projects have empty list.
+   */
+  _readProjectsRequests(ids: Array<String|null>|null): Promise<object|null>;
+
+  /**
+   * Finds requests IDs for projects that are using legacy ID system.
+   * The list of all requests IDs is read only once for all projects.
+   *
+   * @param ids List of projects IDs
+   * @returns A map where keys are projects IDs and values
+   * are lists of requests IDs.
+   */
+  _readLegacyProjectsKeys(ids: Array<String|null>|null): Promise<object|null>;
+  _readProjectRequests(id: any): any;
+
+  /**
+   * Reads request documents. Requests that do not exist are not
+   * in the result.
+   *
+   * @param keys List of requests IDs
+   * @param missing When set, IDs of requests that do not
+   * exist are added to the list.
+   * @returns List of request documents.
+   */
+  _getProjectRequest(keys: Array<String|null>|null, missing?: Array<String|null>): Promise<Array<object|null>|null>;
+
+  /**
+   * Reads IDs of requests that are related to a project using legacy ID
+   * system, where request ID contains project ID.
+   *
+   * The project ID can be at any position of the request ID so it reads
+   * IDs of all requests, without documents, and filters them with
+   * `_filterRequests()`. A key range read would miss requests which IDs
+   * do not start with the project ID.
+   *
+   * @param id Project ID
+   * @param signal The query abort signal
+   * @returns List of requests IDs.
+   */
+  _readLegacyKeys(id: String|null, signal?: AbortSignal): Promise<Array<String|null>|null>;
+
+  /**
+   * Reads request documents in batches of `LEGACY_BATCH_SIZE` keys.
+   * Requests that do not exist are not in the result.
+   *
+   * @param keys List of requests IDs
+   * @param signal The query abort signal. It is checked
+   * after each batch.
+   * @param missing When set, IDs of requests that do not
+   * exist are added to the list.
+   * @returns List of request documents.
+   */
+  _readLegacyRequests(keys: Array<String|null>|null, signal?: AbortSignal, missing?: Array<String|null>): Promise<Array<object|null>|null>;
+
+  /**
+   * Reads requests of a project that uses the legacy ID system.
+   *
+   * @param id Project ID
+   * @param signal The query abort signal
+   * @returns Sorted and scoped list of requests.
+   */
+  _tryLegacy(id: String|null, signal?: AbortSignal): Promise<Array<object|null>|null>;
+
+  /**
+   * Filters requests IDs list to ones related to current
+   * request.
+   *
+   * @param keys List of requests IDs
+   * @param id Project ID
+   * @returns Filtered list of requests IDs that are related
+   * to the project
+   */
+  _filterRequests(keys: Array<String|null>|null, id: String|null): Array<String|null>|null;
+
+  /**
+   * Migrates a project that uses the legacy ID system, where requests are
+   * matched by the ID, to the project's `requests` list.
+   * It finds the legacy requests, writes their IDs to the project's
+   * `requests` list, ordered by `projectOrder`, and adds the project ID to
+   * requests' `projects` list.
+   *
+   * It is safe to call this function more than once. Documents that are
+   * already migrated are not changed.
+   *
+   * @param id Project ID
+   * @returns Promise resolved to the migration report with
+   * `projectId`, `project` (whether the project document changed),
+   * `requests` (IDs of changed requests) and `failed` (IDs of requests
+   * that could not be updated) properties.
+   */
+  migrateLegacyProject(id: String|null): Promise<object|null>;
+
+  /**
+   * Migrates a legacy project when the `autoMigrate` is set and dispatches
+   * `legacy-project-migrated` event with the migration report.
+   *
+   * @param id Project ID
+   * @returns Promise resolved to the project's
+   * `requests` list after the migration.
+   */
+  _autoMigrate(id: String|null): Promise<Array<String|null>|null>;
+
+  /**
+   * Exports a project and its requests.
+   * The requests are read the same way as `query()` does with the
+   * `fullQuery` property set, in batches of `LEGACY_BATCH_SIZE` keys.
+   * They are ordered by `projectOrder` and name, regardless of the `sort`
+   * property.
+   *
+   * @param id Project ID
+   * @param format Export format, one of `arc` (ARC export object),
+   * `postman` (Postman v2.1 collection) or `har` (HAR log). Default to `arc`.
+   * @returns Promise resolved to an object with `format`,
+   * `data` (the export object) and `missing` (IDs of project requests that
+   * do not exist in the data store) properties.
+   */
+  exportProject(id: String|null, format?: String|null): Promise<object|null>;
+
+  /**
+   * Imports a project and its requests from a Postman v2 collection or ARC
+   * export object. It creates a new project and request documents and reads
+   * the project requests the same way as `query()` does.
+   *
+   * @param payload Postman collection or ARC export object,
+   * or its JSON string.
+   * @returns Promise resolved to an object with `projectId`,
+   * `items` (the project requests) and `report` (list of per-item reports
+   * with `index`, `name`, `status` and `reason` properties) properties.
+   * When none of the requests can be imported the project is not created,
+   * `projectId` is not set and the `reason` property explains why.
+   * The promise is rejected when the payload is invalid.
+   */
+  importProject(payload: object|String|null): Promise<object|null>;
+
+  /**
+   * Moves a request to a new position in current project and persists
+   * the new order.
+   *
+   * @param id The ID of the request to move.
+   * @param newIndex The new position of the request in the `data`
+   * list. When the list is filtered, it is the position in the filtered list.
+   * Values out of the list bounds are clamped to the first or last position.
+   * Requests can be moved only when the list is sorted by the project order.
+   */
+  moveRequest(id: String|null, newIndex: Number|null): Promise<any>;
+
+  /**
+   * Sets the order of requests in current project.
+   * It rewrites the project's `requests` list and sets `projectOrder` property
+   * of each request in a single bulk write. The `data` list is updated
+   * before the data are stored.
+   *
+   * It dispatches non-cancelable `project-object-changed` and
+   * `request-object-changed` events so other elements can update the order.
+   *
+   * @param ids Ordered list of requests IDs. Project requests
+   * that are not on the list are moved to the end of the list, keeping
+   * their relative order. `projectOrder` of all project requests is
+   * renumbered. Duplicated IDs are ignored and the promise is rejected when
+   * the list has IDs of requests that are not in the project.
+   */
+  setOrder(ids: Array<String|null>|null): Promise<any>;
+
+  /**
+   * Throws when an ID on the list is not one of project requests.
+   *
+   * @param ids List of requests IDs to check.
+   * @param keys Project requests IDs. For a project that uses
+   * the legacy ID system these are IDs of the loaded requests.
+   */
+  _checkOrderKeys(ids: Array<String|null>|null, keys: Array<String|null>|null): void;
+
+  /**
+   * Adds requests to current project. It updates the project's `requests`
+   * list and requests' `projects` list.
+   *
+   * @param ids List of requests IDs to add.
+   * @param opts Options
+   * @returns Promise resolved to the report with
+   * `projectId`, `requests` (IDs of changed requests) and `failed`
+   * (IDs of requests that could not be read or updated) properties.
+   */
+  addRequests(ids: Array<String|null>|null, opts?: {index?: Number}): Promise<object|null>;
+
+  /**
+   * Removes requests from current project. It updates the project's
+   * `requests` list and requests' `projects` and `legacyProject` properties.
+   * The requests are not deleted from the data store.
+   *
+   * It dispatches non-cancelable `project-object-changed` and
+   * `request-object-changed` events so other elements can update the list.
+   *
+   * @param ids List of requests IDs to remove.
+   * @returns Promise resolved to the report with
+   * `projectId`, `requests` (IDs of changed requests) and `failed`
+   * (IDs of requests that could not be read or updated) properties.
+   */
+  removeRequests(ids: Array<String|null>|null): Promise<object|null>;
+
+  /**
+   * Adds requests to another project. The requests stay in current project.
+   *
+   * @param ids List of requests IDs to copy.
+   * @param targetProjectId The ID of the project to add the
+   * requests to.
+   * @returns Promise resolved to the report with
+   * `projectId`, `requests` (IDs of changed requests) and `failed`
+   * (IDs of requests that could not be read or updated) properties.
+   */
+  copyToProject(ids: Array<String|null>|null, targetProjectId: String|null): Promise<object|null>;
+
+  /**
+   * Adds requests to a project.
+   *
+   * @param projectId Project ID
+   * @param ids List of requests IDs to add.
+   * @param order Whether to set `projectOrder` of added requests.
+   * @param index Position in the project's `requests` list.
+   * @returns Promise resolved to the report.
+   */
+  _addToProject(projectId: String|null, ids: Array<String|null>|null, order: Boolean|null, index?: Number|null): Promise<object|null>;
+
+  /**
+   * Checks references between a project and requests. The report contains:
+   *
+   * - `dangling` - IDs listed in project's `requests` that do not exist
+   * - `orphaned` - IDs of requests that reference the project in `projects`
+   * or `legacyProject` properties but are not listed in project's `requests`
+   * - `duplicates` - IDs listed more than once in project's `requests`
+   * - `valid` - `true` when none of the above were found
+   *
+   * @param projectId The project ID. Default to `projectId`.
+   * @returns Promise resolved to the integrity report.
+   */
+  checkIntegrity(projectId?: String|null): Promise<object|null>;
+
+  /**
+   * Fixes problems reported by `checkIntegrity()`. Dangling and duplicated IDs
+   * are removed from project's `requests` and orphaned requests are added
+   * at the end of the list in order of their `projectOrder`.
+   * When the project is current project, the `data` list and `stats` are
+   * updated.
+   *
+   * @param projectId The project ID. Default to `projectId`.
+   * @param opts Repair options
+   * @returns Promise resolved to the integrity report with
+   * the `requests` (repaired project's requests list) and `repaired`
+   * (whether the project has been changed) properties.
+   */
+  repair(projectId?: String|null, opts?: {dryRun?: Boolean}): Promise<object|null>;
+
+  /**
+   * Creates the integrity report of a project.
+   *
+   * @param project The project document
+   * @param requests List of all requests
+   * @returns The integrity report.
+   */
+  _integrityReport(project: object|null, requests: Array<object|null>|null): object|null;
+
+  /**
+   * Computes project's `requests` list without problems found in
+   * the integrity report.
+   *
+   * @param keys Project's `requests` list
+   * @param report The integrity report
+   * @param requests List of all requests
+   * @returns Repaired `requests` list.
+   */
+  _repairKeys(keys: Array<String|null>|null, report: object|null, requests: Array<object|null>|null): Array<String|null>|null;
+
+  /**
+   * Reads, updates and stores a project document. When the document was
+   * changed after it was read then the operation is repeated.
+   *
+   * @param id Project ID
+   * @param update A function that changes the project document.
+   * @returns Promise resolved to the updated project.
+   */
+  _updateProject(id: String|null, update: Function|null): Promise<object|null>;
+
+  /**
+   * Reads, updates and stores request documents in bulk. Documents that
+   * were changed after they were read are read and updated again.
+   *
+   * @param ids List of requests IDs
+   * @param update A function that changes a request document.
+   * It returns `false` when the document has not changed.
+   * @returns Promise resolved to an object with `updated`
+   * (list of stored documents) and `failed` (list of IDs that could not be
+   * stored) properties.
+   */
+  _updateRequests(ids: Array<String|null>|null, update: Function|null): Promise<object|null>;
+
+  /**
+   * Updates `projectOrder` of items on the `data` list and sorts the list.
+   * When the data are read in pages the positions of the paged keys are
+   * updated as well.
+   *
+   * @param ids Ordered list of requests IDs.
+   */
+  _applyOrder(ids: Array<String|null>|null): void;
+
+  /**
+   * Sets new revisions of documents after a bulk write.
+   *
+   * @param docs Written documents
+   * @param response Bulk write response
+   * @returns List of documents that were written.
+   */
+  _applyWriteResults(docs: Array<object|null>|null, response: Array<object|null>|null): Array<object|null>|null;
+
+  /**
+   * Dispatches non-cancelable `project-object-changed` event.
+   *
+   * @param project Changed project document
+   */
+  _notifyProjectChanged(project: object|null): void;
+
+  /**
+   * Dispatches non-cancelable `request-object-changed` event for each
+   * request.
+   *
+   * @param requests Changed request documents
+   */
+  _notifyRequestsChanged(requests: Array<object|null>|null): void;
+
+  /**
+   * Perpares request objects depending on the `fullQuery` and `fields`
+   * properties. If the `fullQuery` property is set this does nothing.
+   * Otherwise this returns the `_id`, `_rev` and properties listed in `fields`
+   * in the list of objects.
+   *
+   * @param list List of request objects
+   * @returns List of requests with requested scope.
+   */
+  _setDataScope(list: any[]|null): any[]|null;
+
+  /**
+   * Creates a projection of a request object that contains `_id`, `_rev`
+   * and listed fields.
+   *
+   * @param item Request object
+   * @param fields List of fields to project. A field is either
+   * a name of computed field or a dot separated path to a property.
+   * @returns The projection of the request object.
+   */
+  _projectItem(item: object|null, fields: Array<String|null>|null): object|null;
+
+  /**
+   * Sorts requests list according to `sort`, `sortDirection` and `comparator`
+   * properties, by default by `projectOrder` property. Also, maps  `_id` to `id`
+   * so some legacy views can support this data.
+   * Scoped objects that has no sort properties are sorted by values
+   * of the original request object.
+   *
+   * @param list List of request objects
+   * @returns Sorted list of requests
+   */
+  _prepareData(list: any[]|null): any[]|null;
+
+  /**
+   * Sorts requests by `projectOrder` and then by name, regardless of
+   * the `sort`, `sortDirection` and `comparator` properties.
+   * It is used when the order of requests is stored or exported.
+   *
+   * @param list List of request objects
+   * @returns Sorted list of requests
+   */
+  _sortByProjectOrder(list: any[]|null): any[]|null;
+
+  /**
+   * Compares two requests according to `comparator`, `sort`
+   * and `sortDirection` properties. Requests with equal values are
+   * sorted by name. When the data are read in pages the project order
+   * is the order of the paged keys.
+   *
+   * @param a Request object
+   * @param b Request object
+   * @returns Sort result as in the `Array.prototype.sort()`
+   * compare function.
+   */
+  _compareItems(a: object|null, b: object|null): Number|null;
+
+  /**
+   * @param positions Positions of the paged keys
+   * @param item Request object
+   * @returns Position of the request in the paged keys. Requests
+   * that are not in the keys are after all paged requests.
+   */
+  _pagePosition(positions: Map<any, any>|null, item: object|null): Number|null;
+
+  /**
+   * Compares two sort values. Strings are compared with `localeCompare()`.
+   *
+   * @param a A value to compare
+   * @param b A value to compare
+   * @returns Sort result
+   */
+  _compareValues(a: any, b: any): Number|null;
+
+  /**
+   * @returns True when the `data` list is sorted in the ascending
+   * project order.
+   */
+  _isProjectOrder(): Boolean|null;
+
+  /**
+   * Sorts the `data` and `projectsData` lists after the sort options change.
+   */
+  _sortChanged(): void;
+
+  /**
+   * Computes the `groups` list from the `data` list. Group keys are computed
+   * only for requests that changed since the last computation and groups
+   * which requests did not change are not replaced.
+   * Groups are sorted by the key. Requests in a group keep the order
+   * of the `data` list.
+   */
+  _updateGroups(): void;
+
+  /**
+   * Computes the `stats` object from the `data` list regardless of
+   * `search` and `filter` properties.
+   */
+  _updateStats(): void;
+
+  /**
+   * Computes a group key of a request.
+   *
+   * @param item An item of the `data` list
+   * @param mode Grouping mode, one of `host`, `method` or `path`.
+   * @param depth Number of path segments of the `path` mode.
+   * @returns The group key. It is an empty string when the request
+   * has no value for the group.
+   */
+  _groupKey(item: object|null, mode: String|null, depth: Number|null): String|null;
+
+  /**
+   * Reads a value used to sort the list. When the item is a scoped
+   * object that does not have the property then the value is read from
+   * the original request object.
+   *
+   * @param item Request object
+   * @param property Property name
+   * @returns The value of the property.
+   */
+  _sortValue(item: object|null, property: String|null): any;
+
+  /**
+   * Handler for the `project-related-requests-query` event.
+   * If the event is cancelable and was not handled by other element it
+   * cancels the event and sets the `result` property on the event's detail
+   * object with the promise resolved to the list of requests of the
+   * project. The promise is rejected with the `ProjectQueryError` when
+   * the project cannot be read.
+   */
+  _queryHandler(e: CustomEvent|null): void;
+
+  /**
+   * Queries for requests of a project requested with the
+   * `project-related-requests-query` event.
+   *
+   * @param projectId Project ID
+   * @returns Promise resolved to the list of
+   * requests of the project.
+   */
+  _queryRequested(projectId: String|null): Promise<Array<object|null>|null>;
+
+  /**
+   * Dispatches the `project-related-requests-read` event.
+   *
+   * @param projectId The queried project ID
+   * @param items List of requests of the project
+   */
+  _notifyRead(projectId: String|null, items: Array<object|null>|null): void;
+
+  /**
+   * Handler for the `request-object-changed` event.
+   * If the event is not cancelable and the request is related to current
+   * project then it updates/adds request to the `data` list. A request that
+   * is no longer related to the project is removed from the list.
+   * Changes of history requests update history values of the items when
+   * `linkHistory` is set.
+   */
+  _requestObjectChanged(e: CustomEvent|null): void;
+
+  /**
+   * Dispatches the `items-changed` event with requests added to, removed from
+   * and moved on the `data` list. The event is not dispatched when
+   * the positions of requests did not change.
+   *
+   * @param before IDs of requests on the `data` list before
+   * the change.
+   */
+  _notifyItemsChanged(before: Array<String|null>|null): void;
+
+  /**
+   * Computes the longest increasing subsequence of a list of positions.
+   * Items of the subsequence kept their relative order so only remaining
+   * items are reported as moved.
+   *
+   * @param positions List of previous positions of items
+   * in current order.
+   * @returns Indexes of `positions` that are in the subsequence.
+   */
+  _longestOrderedSet(positions: Array<Number|null>|null): Set<Number>;
+
+  /**
+   * Tests whether a request object is related to current project.
+   * The request is related when its `legacyProject` or `projects` property
+   * contains project ID. When the request does not reference any project
+   * it is related when project's `requests` list has its ID.
+   * When the project has no `requests` list then the legacy ID system is
+   * used where the request ID contains project ID.
+   *
+   * @param request Request object
+   * @param projectId The project ID. Default to `projectId`.
+   * @param keys Project's `requests` list. Default to
+   * the list read with the last query.
+   * @returns True when the request belongs to the project.
+   */
+  _isProjectRequest(request: object|null, projectId?: String|null, keys?: Array<String|null>|null): Boolean|null;
+
+  /**
+   * Adds or updates requests on the `data` list and sorts the list.
+   * The requests are scoped the same way as the query result.
+   *
+   * @param requests List of request objects to add or update.
+   */
+  _upsertRequests(requests: Array<object|null>|null): void;
+
+  /**
+   * Adds or updates a request on each list of the `projectsData` map
+   * which project is related to the request and removes it from lists
+   * of other projects.
+   * The request is scoped the same way as the query result.
+   *
+   * @param request Request object to add or update.
+   */
+  _upsertProjectsRequest(request: object|null): void;
+
+  /**
+   * Creates a copy of the list with added or updated requests and sorts it.
+   *
+   * @param list Current list of requests.
+   * @param requests List of request objects to add or update.
+   * @returns New, sorted list of requests.
+   */
+  _upsertList(list: Array<object|null>|null, requests: Array<object|null>|null): Array<object|null>|null;
+
+  /**
+   * Handler for the `request-object-deleted` event. Removes a request from the
+   * `data` list if removed item is on the list.
+   */
+  _requestObjectDeleted(e: CustomEvent|null): void;
+
+  /**
+   * Handler for the `request-objects-deleted` event. Removes deleted requests
+   * from the `data` list if they are on the list.
+   */
+  _requestObjectsDeleted(e: CustomEvent|null): void;
+
+  /**
+   * Handler for the `request-objects-restored` event. Puts restored requests
+   * back on the `data` list.
+   */
+  _requestObjectsRestored(e: CustomEvent|null): void;
+
+  /**
+   * Checks if any of the removed items is on current `data` list. Removes
+   * items that are in the `ids` list.
+   *
+   * @param ids List of removed items IDs.
+   * @param deleted When set the requests were deleted from the
+   * data store and removed items are remembered so they can be restored
+   * on their positions by `_restoreRequests()`.
+   */
+  _checkDeleted(ids: Array<String|null>|null, deleted?: Boolean): void;
+
+  /**
+   * @returns Number of milliseconds during which deleted requests
+   * are remembered. Default to 30 seconds.
+   */
+  _restoreTimeout(): Number;
+
+  /**
+   * Remembers a request removed from the `data` list with its position
+   * and `projectOrder`.
+   *
+   * @param item Removed item of the `data` list.
+   * @param index Position of the item on the list.
+   */
+  _rememberRemoved(item: object|null, index: Number|null): void;
+
+  /**
+   * Forgets removed requests that are older than the restore timeout.
+   */
+  _expireRemoved(): void;
+
+  /**
+   * Puts restored requests back on the `data` list.
+   * Requests that were deleted within the restore timeout are inserted
+   * on their previous positions, with previous `projectOrder` when the
+   * restored object does not have one. Other requests related to
+   * the project are added the same way as changed requests.
+   *
+   * @param requests List of restored request objects.
+   */
+  _restoreRequests(requests: Array<object|null>|null): void;
+
+  /**
+   * Removes items that are in the `ids` list from each list of the
+   * `projectsData` map.
+   *
+   * @param ids List of removed items IDs.
+   */
+  _checkProjectsDeleted(ids: Array<String|null>|null): void;
+
+  /**
+   * Starts or stops listening to the data store changes feeds depending on
+   * the `live`, `projectId` and connection state. The feeds are always
+   * cancelled before new feeds are created.
+   */
+  _updateLiveFeeds(): void;
+
+  /**
+   * Cancels changes feeds created in `_updateLiveFeeds()`, if any.
+   */
+  _cancelLiveFeeds(): void;
+
+  /**
+   * Handler for a change in the saved requests store.
+   * Removes deleted requests and requests that are no longer related to the
+   * project. Adds or updates requests related to the project.
+   *
+   * @param change Storage adapter change object
+   */
+  _savedChangeHandler(change: object|null): void;
+
+  /**
+   * Handler for the `project-object-changed` event.
+   * If the event is not cancelable and the project is current project
+   * then it updates the `data` list with the project's `requests` list.
+   */
+  _projectObjectChanged(e: CustomEvent|null): Promise<any>|null;
+
+  /**
+   * Handler for the `project-object-deleted` event.
+   * If the event is not cancelable and the project is current project
+   * then it clears the `data` list.
+   */
+  _projectObjectDeleted(e: CustomEvent|null): void;
+
+  /**
+   * Handler for a change in the legacy projects store.
+   * Computes a difference between previous and current `requests` list
+   * and updates the `data` list accordingly. When only the order of the list
+   * changed the new order is applied to the `data` list without reading
+   * the requests.
+   * When the project is deleted it clears the `data` list and dispatches
+   * the `project-deleted` event.
+   *
+   * @param change Storage adapter change object
+   */
+  _projectChangeHandler(change: object|null): Promise<any>|null;
+
+  /**
+   * Reads history requests when the `linkHistory` property is set and
+   * updates items of the `data` list with the `lastRun` and `runCount`
+   * properties. It does nothing when the adapter does not implement
+   * the `listHistory()` function.
+   */
+  _loadHistory(): Promise<any>;
+
+  /**
+   * Creates a key of the history index from HTTP method and URL.
+   *
+   * @param method HTTP method
+   * @param url Request URL
+   * @returns The key or undefined when there is no URL.
+   */
+  _historyKey(method: String|null, url: String|null): String|undefined;
+
+  /**
+   * Adds a history request to the history index.
+   *
+   * @param index History index. Keys are created by `_historyKey()`
+   * and values are objects with `lastRun`, `runCount` and `ids` properties.
+   * @param entry History request object
+   * @returns True when the index changed.
+   */
+  _indexHistory(index: Map<String, object>, entry: object|null): Boolean;
+
+  /**
+   * Adds history values to items of a list when history requests were read.
+   *
+   * @param items List of requests
+   * @returns The list with items that have the `lastRun`
+   * and `runCount` properties.
+   */
+  _attachHistory(items: Array<object|null>|null): Array<object|null>|null;
+
+  /**
+   * @param item An item of the `data` list
+   * @returns The item, or a copy of the item when its history values
+   * changed, with `lastRun` (time of the most recent history entry) and
+   * `runCount` (number of history entries) properties.
+   */
+  _withHistory(item: object|null): object|null;
+
+  /**
+   * @param item An item of the `data` list
+   * @returns A copy of the item without history values.
+   */
+  _withoutHistory(item: object|null): object|null;
+
+  /**
+   * Updates history values of items of the `data` list after a history
+   * request changed.
+   *
+   * @param request Changed history request
+   */
+  _historyChanged(request: object|null): void;
+
+  /**
+   * Reports a changes feed error to the analytics.
+   */
+  _liveErrorHandler(cause: Error|null): void;
+}
+
+export {ProjectRequestsModel};
+
+/**
+ * A headless model that computes a list of requests related to a project.
+ * It has the same API as the `legacyproject-related-requests` element and
+ * can be used outside the DOM, for example in the Electron main process,
+ * a Node script or a Web Worker.
+ *
+ * ### Example
+ *
+ * ```javascript
+ * import PouchDB from 'pouchdb';
+ * import { ProjectRequestsModel } from '@advanced-rest-client/legacyproject-related-requests/project-requests-model.js';
+ *
+ * const model = new ProjectRequestsModel({ PouchDB, projectId: 'project-id' });
+ * model.addEventListener('data', (e) => console.log(e.detail.items));
+ * ```
+ *
+ * The model does not listen for events of other components and does not
+ * open live feeds until `connect()` is called.
+ */
+declare class ProjectRequestsModel extends
+  ProjectRequestsMixin(
+  EventTarget) {
+
+  /**
+   * True after `connect()` and before `disconnect()`.
+   */
+  readonly isConnected: Boolean;
+
+  /**
+   * @param opts Initial values of the model properties.
+   */
+  constructor(opts?: {adapter?: object, PouchDB?: Function, projectId?: String, [key: string]: any});
+
+  /**
+   * Starts handling request and project events dispatched on the target
+   * and opens live feeds when `live` is set.
+   *
+   * @param target An object on which other components
+   * dispatch the request and project events. The model does not handle
+   * the events when not set.
+   */
+  connect(target?: EventTarget): void;
+
+  /**
+   * Removes event listeners added in `connect()` and cancels live feeds.
+   */
+  disconnect(): void;
+}
@@ -0,0 +1,3256 @@
+/**
+@license
+Copyright 2020 The Advanced REST client authors <arc@mulesoft.com>
+Licensed under the Apache License, Version 2.0 (the "License"); you may not
+use this file except in compliance with the License. You may obtain a copy of
+the License at
+http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+License for the specific language governing permissions and limitations under
+the License.
+*/
+import { PouchDbStorageAdapter } from './pouchdb-storage-adapter.js';
+import { createExport } from './project-exporter.js';
+import { readImport, generateId } from './project-importer.js';
+import { sharedCache } from './project-requests-cache.js';
+import { ErrorCodes, ProjectQueryError } from './project-query-error.js';
+/**
+ * Number of times a write is repeated when the document was changed
+ * after it was read.
+ */
+const MAX_WRITE_RETRIES = 3;
+/**
+ * Number of request documents read in a single batch when looking for
+ * requests of a project that uses the legacy ID system.
+ */
+const LEGACY_BATCH_SIZE = 250;
+/**
+ * Request properties that are matched by the `search` and `filter`
+ * properties.
+ */
+const FILTER_FIELDS = ['name', 'url', 'method', 'headers', 'payload'];
+/**
+ * Request properties compared by each of the `sort` modes.
+ */
+const SORT_FIELDS = {
+  order: 'projectOrder',
+  name: 'name',
+  updated: 'updated',
+  method: 'method',
+  url: 'url'
+};
+/**
+ * Supported values of the `groupBy` property.
+ */
+const GROUP_MODES = ['host', 'method', 'path'];
+/**
+ * Default number of milliseconds during which deleted requests can be
+ * restored on their original positions.
+ */
+const RESTORE_TIMEOUT = 30000;
+/**
+ * Constructor of events dispatched by the model. Environments without
+ * `CustomEvent` (older Node versions) get an `Event` with the `detail`
+ * property.
+ */
+const DetailEvent = typeof CustomEvent === 'function' ? CustomEvent : class extends Event {
+  constructor(type, init = {}) {
+    super(type, init);
+    this.detail = init.detail;
+  }
+};
+/**
+ * A mixin with the logic of computing a list of requests related to a
+ * project: querying the storage adapter, projection, sorting, filtering,
+ * grouping and updating the list when requests or projects change.
+ *
+ * The mixin does not depend on the DOM. The base class has to implement
+ * the `EventTarget` interface. Events of other components are handled
+ * after the target dispatching them is passed to `_addEventListeners()`
+ * and live feeds are opened when `isConnected` is true.
+ *
+ * @param {Function} base The class to extend
+ * @return {Function}
+ * @mixinFunction
+ */
+export const ProjectRequestsMixin = (base) => class extends base {
+  /**
+   * A map of fields that are computed from the request object rather than
+   * read from it. Keys are fields names that can be used in the `fields`
+   * property and values are functions that take the request object and
+   * return the value of the field.
+   *
+   * @return {Object<String, Function>}
+   */
+  static get computedFields() {
+    return {
+      host: (request) => {
+        const matches = /^[a-z][a-z0-9+.-]*:\/\/([^/?#]*)/i.exec(request.url || '');
+        return matches ? matches[1] : undefined;
+      },
+      path: (request) => {
+        const url = (request.url || '').replace(/^[a-z][a-z0-9+.-]*:\/\/[^/?#]*/i, '');
+        const matches = /^[^?#]*/.exec(url);
+        return matches[0] || undefined;
+      }
+    };
+  }
+
+  /**
+   * @return {Object} A storage adapter used to read projects and requests.
+   * Default to the `PouchDbStorageAdapter`.
+   */
+  get adapter() {
+    if (!this._adapter) {
+      this._adapter = new PouchDbStorageAdapter();
+    }
+    return this._adapter;
+  }
+
+  set adapter(value) {
+    const old = this._adapter;
+    /* istanbul ignore if */
+    if (old === value) {
+      return;
+    }
+    this._adapter = value;
+    this._projectKeys = undefined;
+    this._missingKeys = undefined;
+    this._pageState = undefined;
+    this._removedItems = undefined;
+    this._historyIndex = undefined;
+    this._updateLiveFeeds();
+    this._autoQuery(this.projectId);
+    if (this.linkHistory) {
+      this._loadHistory();
+    }
+  }
+  /**
+   * @return {Object} A handler to the saved store instance, if the adapter
+   * has one.
+   * @deprecated Use `adapter` instead.
+   */
+  get savedDb() {
+    return this.adapter.savedDb;
+  }
+  /**
+   * @return {Object} A handler to the projects store instance, if the adapter
+   * has one.
+   * @deprecated Use `adapter` instead.
+   */
+  get projectDb() {
+    return this.adapter.projectDb;
+  }
+
+  get projectId() {
+    return this._projectId;
+  }
+
+  set projectId(value) {
+    const old = this._projectId;
+    /* istanbul ignore if */
+    if (old === value) {
+      return;
+    }
+    this._projectId = value;
+    this._projectKeys = undefined;
+    this._missingKeys = undefined;
+    this._pageState = undefined;
+    this._removedItems = undefined;
+    this._updateLiveFeeds();
+    this._autoQuery(value);
+  }
+
+  get live() {
+    return this._live;
+  }
+
+  set live(value) {
+    const old = this._live;
+    /* istanbul ignore if */
+    if (old === value) {
+      return;
+    }
+    this._live = value;
+    this._updateLiveFeeds();
+  }
+  get projectIds() {
+    return this._projectIds;
+  }
+
+  set projectIds(value) {
+    const old = this._projectIds;
+    /* istanbul ignore if */
+    if (old === value) {
+      return;
+    }
+    this._projectIds = value;
+    this._projectsKeys = undefined;
+    this._autoQueryProjects(value);
+  }
+  get search() {
+    return this._search;
+  }
+
+  set search(value) {
+    const old = this._search;
+    /* istanbul ignore if */
+    if (old === value) {
+      return;
+    }
+    this._search = value;
+    this._filterChanged();
+  }
+
+  get filter() {
+    return this._filter;
+  }
+
+  set filter(value) {
+    const old = this._filter;
+    /* istanbul ignore if */
+    if (old === value) {
+      return;
+    }
+    this._filter = value;
+    this._filterChanged();
+  }
+
+  get sort() {
+    return this._sort;
+  }
+
+  set sort(value) {
+    const old = this._sort;
+    /* istanbul ignore if */
+    if (old === value) {
+      return;
+    }
+    this._sort = value;
+    this._sortChanged();
+  }
+
+  get sortDirection() {
+    return this._sortDirection;
+  }
+
+  set sortDirection(value) {
+    const old = this._sortDirection;
+    /* istanbul ignore if */
+    if (old === value) {
+      return;
+    }
+    this._sortDirection = value;
+    this._sortChanged();
+  }
+
+  get comparator() {
+    return this._comparator;
+  }
+
+  set comparator(value) {
+    const old = this._comparator;
+    /* istanbul ignore if */
+    if (old === value) {
+      return;
+    }
+    this._comparator = value;
+    this._sortChanged();
+  }
+
+  get groupBy() {
+    return this._groupBy;
+  }
+
+  set groupBy(value) {
+    const old = this._groupBy;
+    /* istanbul ignore if */
+    if (old === value) {
+      return;
+    }
+    this._groupBy = value;
+    this._updateGroups();
+  }
+
+  get groupDepth() {
+    return this._groupDepth;
+  }
+
+  set groupDepth(value) {
+    const old = this._groupDepth;
+    /* istanbul ignore if */
+    if (old === value) {
+      return;
+    }
+    this._groupDepth = value;
+    this._updateGroups();
+  }
+
+  get linkHistory() {
+    return this._linkHistory;
+  }
+
+  set linkHistory(value) {
+    const old = this._linkHistory;
+    /* istanbul ignore if */
+    if (old === value) {
+      return;
+    }
+    this._linkHistory = value;
+    this._historyIndex = undefined;
+    if (value) {
+      this._loadHistory();
+    } else if (this._data) {
+      this._data = this._data.map((item) => this._withoutHistory(item));
+    }
+  }
+  /**
+   * @return {Object|undefined} Statistics of current project's requests:
+   * `total`, `methods` and `hosts` (number of requests per HTTP method and
+   * host), `lastUpdated` (the most recently updated request), `noUrl`
+   * (number of requests without URL) and `dangling` (number of IDs in
+   * project's `requests` that do not exist).
+   */
+  get stats() {
+    return this._stats;
+  }
+
+  get _stats() {
+    return this.__stats;
+  }
+
+  set _stats(value) {
+    const old = this.__stats;
+    /* istanbul ignore if */
+    if (old === value) {
+      return;
+    }
+    this.__stats = value;
+    this.dispatchEvent(new DetailEvent('stats', {
+      detail: {
+        projectId: this.projectId,
+        stats: value
+      }
+    }));
+  }
+  /**
+   * @return {Array<Object>|undefined} List of groups of the `data` list when
+   * `groupBy` is set. Each group has `key`, `count` and `items` properties.
+   */
+  get groups() {
+    return this._groups;
+  }
+
+  get _groups() {
+    return this.__groups;
+  }
+
+  set _groups(value) {
+    const old = this.__groups;
+    /* istanbul ignore if */
+    if (old === value) {
+      return;
+    }
+    this.__groups = value;
+    this.dispatchEvent(new DetailEvent('groups-changed', {
+      detail: {
+        projectId: this.projectId,
+        groups: value
+      }
+    }));
+  }
+  /**
+   * @return {Array<Object>} list of requests found for the project.
+   * When `search` or `filter` is set it is the list of matching requests.
+   */
+  get data() {
+    return this._filteredData || this._data;
+  }
+  /**
+   * @return {Number|undefined} Number of requests on the list regardless
+   * of `search` and `filter` properties.
+   */
+  get total() {
+    const items = this._data;
+    return items ? items.length : undefined;
+  }
+
+  get _data() {
+    return this.__data;
+  }
+
+  set _data(value) {
+    const old = this.__data;
+    /* istanbul ignore if */
+    if (old === value) {
+      return;
+    }
+    this.__data = this._attachHistory(value);
+    this._updateFiltered();
+    this._updateGroups();
+    this._updateStats();
+    this._notifyData(this.data);
+  }
+  /**
+   * @return {Boolean} True when paginated query has more requests to read.
+   */
+  get hasMore() {
+    const state = this._pageState;
+    return !!state && state.offset < state.keys.length;
+  }
+  /**
+   * @return {Number|undefined} Total number of requests in the project
+   * when the data are read in pages.
+   */
+  get totalCount() {
+    const state = this._pageState;
+    return state ? state.keys.length : undefined;
+  }
+
+  /**
+   * @return {Object} A map where keys are projects IDs from the `projectIds`
+   * list and values are lists of requests found for the project.
+   */
+  get projectsData() {
+    return this._projectsData;
+  }
+
+  get _projectsData() {
+    return this.__projectsData;
+  }
+
+  set _projectsData(value) {
+    const old = this.__projectsData;
+    /* istanbul ignore if */
+    if (old === value) {
+      return;
+    }
+    this.__projectsData = value;
+    this.dispatchEvent(new DetailEvent('projects-data', {
+      detail: {
+        projectIds: this.projectIds,
+        items: value
+      }
+    }));
+  }
+
+  /**
+   * @return {Boolean} true if currently querying for the data.
+   */
+  get querying() {
+    return this._querying;
+  }
+
+  get _querying() {
+    return this.__querying;
+  }
+
+  set _querying(value) {
+    const old = this.__querying;
+    /* istanbul ignore if */
+    if (old === value) {
+      return;
+    }
+    this.__querying = value;
+    this.dispatchEvent(new DetailEvent('querying', {
+      detail: {
+        value
+      }
+    }));
+  }
+
+  /**
+   * @return {ProjectQueryError|undefined} An error of the last query for
+   * current project or `undefined` when the query succeeded.
+   */
+  get error() {
+    return this._error;
+  }
+
+  get _error() {
+    return this.__error;
+  }
+
+  set _error(value) {
+    const old = this.__error;
+    /* istanbul ignore if */
+    if (old === value) {
+      return;
+    }
+    this.__error = value;
+    if (!value) {
+      return;
+    }
+    this.dispatchEvent(new DetailEvent('error', {
+      detail: {
+        projectId: value.projectId,
+        code: value.code,
+        error: value
+      }
+    }));
+  }
+
+  constructor(...args) {
+    super(...args);
+    this._requestObjectChanged = this._requestObjectChanged.bind(this);
+    this._requestObjectDeleted = this._requestObjectDeleted.bind(this);
+    this._requestObjectsDeleted = this._requestObjectsDeleted.bind(this);
+    this._savedChangeHandler = this._savedChangeHandler.bind(this);
+    this._projectChangeHandler = this._projectChangeHandler.bind(this);
+    this._projectObjectChanged = this._projectObjectChanged.bind(this);
+    this._projectObjectDeleted = this._projectObjectDeleted.bind(this);
+    this._liveErrorHandler = this._liveErrorHandler.bind(this);
+    this._queryHandler = this._queryHandler.bind(this);
+    this._requestObjectsRestored = this._requestObjectsRestored.bind(this);
+    this._sortMeta = new Map();
+    this._searchIndex = new Map();
+  }
+  /**
+   * Adds handlers of the request and project events dispatched by other
+   * components to an event target.
+   *
+   * @param {EventTarget} target Usually the `window` object.
+   */
+  _addEventListeners(target) {
+    target.addEventListener('request-object-changed', this._requestObjectChanged);
+    target.addEventListener('request-object-deleted', this._requestObjectDeleted);
+    target.addEventListener('request-objects-deleted', this._requestObjectsDeleted);
+    target.addEventListener('request-objects-restored', this._requestObjectsRestored);
+    target.addEventListener('project-object-changed', this._projectObjectChanged);
+    target.addEventListener('project-object-deleted', this._projectObjectDeleted);
+    target.addEventListener('project-related-requests-query', this._queryHandler);
+  }
+  /**
+   * Removes handlers added in `_addEventListeners()`.
+   *
+   * @param {EventTarget} target The target passed to `_addEventListeners()`.
+   */
+  _removeEventListeners(target) {
+    target.removeEventListener('request-object-changed', this._requestObjectChanged);
+    target.removeEventListener('request-object-deleted', this._requestObjectDeleted);
+    target.removeEventListener('request-objects-deleted', this._requestObjectsDeleted);
+    target.removeEventListener('request-objects-restored', this._requestObjectsRestored);
+    target.removeEventListener('project-object-changed', this._projectObjectChanged);
+    target.removeEventListener('project-object-deleted', this._projectObjectDeleted);
+    target.removeEventListener('project-related-requests-query', this._queryHandler);
+  }
+
+  /**
+   * Automatically run function when either `opened` or `projectId` change.
+   *
+   * @param {String} projectId
+   */
+  async _autoQuery(projectId) {
+    if (this._queryController) {
+      this._queryController.abort();
+      this._queryController = undefined;
+    }
+    if (!projectId) {
+      return;
+    }
+    const controller = new AbortController();
+    this._queryController = controller;
+    let requests;
+    try {
+      requests = await this.query(projectId, {
+        signal: controller.signal,
+        cache: true
+      });
+    } catch (cause) {
+      if (cause.name === 'AbortError') {
+        return;
+      }
+      throw cause;
+    }
+    if (controller.signal.aborted) {
+      return;
+    }
+    this._queryController = undefined;
+    if (this.pageSize > 0) {
+      this._setPageData(requests, requests);
+    } else {
+      this._data = requests;
+    }
+    this._notifyRead(projectId, requests);
+  }
+  /**
+   * Automatically run function when `projectIds` change.
+   *
+   * @param {Array<String>} projectIds
+   */
+  async _autoQueryProjects(projectIds) {
+    if (!projectIds || !projectIds.length) {
+      return;
+    }
+    const result = await this.queryProjects(projectIds);
+    if (this.projectIds !== projectIds) {
+      return;
+    }
+    this._projectsData = result;
+  }
+  /**
+   * Queries the datastore for related requests list for the project.
+   *
+   * @param {String} id Project ID
+   * @param {Object=} opts Query options
+   * @param {AbortSignal=} opts.signal A signal that aborts the query.
+   * An aborted query rejects with an error which `name` is `AbortError`
+   * and `code` is `aborted`.
+   * @param {Boolean=} opts.cache When set the list is read from the cache
+   * of requests lists shared by the elements, if available. The list read
+   * from the data store is always stored in the cache.
+   * @param {Boolean=} opts.reject When set the query rejects with
+   * the `ProjectQueryError` when the project cannot be read. By default
+   * the error is reported and the query resolves to an empty list.
+   * A query with missing requests is resolved with existing requests.
+   * @return {Promise} Promise resolved to the list of related to project
+   * requests.
+   */
+  async query(id, opts={}) {
+    if (!id) {
+      throw new Error('The "id" argument is missing');
+    }
+    const { signal, cache, reject } = opts;
+    const auto = !!signal && !!this._queryController &&
+      this._queryController.signal === signal;
+    this._throwIfAborted(signal);
+    this._queryStarted();
+    try {
+      const cached = cache ? await this._readCache(id) : undefined;
+      if (cached) {
+        this._throwIfAborted(signal);
+        this._setQueryError(id, this._partialReadError(id, this._missingKeys));
+        return cached;
+      }
+      let keys = await this._readProjectRequests(id);
+      this._throwIfAborted(signal);
+      if (!keys.length && this.autoMigrate) {
+        keys = await this._autoMigrate(id);
+        this._throwIfAborted(signal);
+      }
+      if (id === this.projectId) {
+        this._projectKeys = keys;
+      }
+      if (this.pageSize > 0) {
+        return await this._queryFirstPage(id, keys, signal);
+      }
+      let requests;
+      const missing = [];
+      if (!keys.length) {
+        requests = await this._tryLegacy(id, signal);
+      } else {
+        requests = await this._getProjectRequest(keys, missing);
+        this._throwIfAborted(signal);
+        requests = this._prepareData(requests);
+        requests = this._setDataScope(requests);
+      }
+      if (id === this.projectId) {
+        this._missingKeys = missing;
+      }
+      this._writeCache(id, keys, requests, missing);
+      this._setQueryError(id, this._partialReadError(id, missing));
+      return requests;
+    } catch (cause) {
+      const error = this._createQueryError(id, cause);
+      if (error.code === ErrorCodes.ABORTED) {
+        if (!auto) {
+          this._setQueryError(id, error);
+        }
+        throw error;
+      }
+      this._setQueryError(id, error);
+      if (error.code === ErrorCodes.DATABASE_UNAVAILABLE) {
+        this.dispatchEvent(new DetailEvent('send-analytics', {
+          bubbles: true,
+          composed: true,
+          detail: {
+            type: 'exception',
+            description: error.message,
+            fatal: true
+          }
+        }));
+      }
+      if (reject) {
+        throw error;
+      }
+      return [];
+    } finally {
+      this._queryEnded();
+    }
+  }
+  /**
+   * Re-reads requests of current project from the data store,
+   * bypassing the cache of requests lists shared by the elements.
+   *
+   * @return {Promise} Promise resolved when the `data` list is updated.
+   */
+  async refresh() {
+    if (!this.projectId) {
+      return;
+    }
+    this._deleteCache(this.projectId);
+    await this._autoQuery(this.projectId);
+  }
+  /**
+   * @return {String|undefined} The cache scope of the storage adapter or
+   * `undefined` when requests lists should not be read from or written to
+   * the cache. Lists read in pages are not cached but all instances
+   * invalidate the cache using the adapter's scope.
+   */
+  _cacheScope() {
+    if (this.pageSize > 0) {
+      return undefined;
+    }
+    return this.adapter.cacheScope;
+  }
+  /**
+   * @return {String} A key of the projection of request objects
+   * used by the cache. Lists with history values have separate entries.
+   */
+  _cacheProjection() {
+    let projection = '*';
+    if (!this.fullQuery) {
+      const fields = this.fields && this.fields.length ? this.fields : ['name'];
+      projection = fields.join(',');
+    }
+    return this.linkHistory ? `${projection}+history` : projection;
+  }
+  /**
+   * Reads a list of project requests from the shared cache.
+   * When `search` or `filter` is set the requests that are not in the
+   * search index are read from the data store.
+   *
+   * @param {String} id Project ID
+   * @return {Promise<Array<Object>|undefined>} List of requests or
+   * `undefined` when the list is not cached.
+   */
+  async _readCache(id) {
+    const scope = this._cacheScope();
+    if (!scope) {
+      return undefined;
+    }
+    const entry = sharedCache.get(scope, id, this._cacheProjection());
+    if (!entry) {
+      return undefined;
+    }
+    if (id === this.projectId) {
+      this._projectKeys = entry.projectKeys;
+      this._missingKeys = entry.missing;
+    }
+    entry.meta.forEach((meta) => {
+      const value = Object.assign({}, meta);
+      delete value.id;
+      this._sortMeta.set(meta.id, value);
+    });
+    if (this._isFiltering()) {
+      const missing = entry.items
+        .filter((item) => !this._searchIndex.has(item._id))
+        .map((item) => item._id);
+      if (missing.length) {
+        this._indexItems(await this._getProjectRequest(missing));
+      }
+    }
+    return this._prepareData(entry.items);
+  }
+  /**
+   * Stores a list of project requests in the shared cache.
+   *
+   * @param {String} id Project ID
+   * @param {Array<String>} keys Project's `requests` list
+   * @param {Array<Object>} items List of project requests
+   * @param {Array<String>=} missing List of project's requests IDs that
+   * do not exist
+   */
+  _writeCache(id, keys, items, missing) {
+    const scope = this._cacheScope();
+    if (!scope) {
+      return;
+    }
+    const meta = [];
+    items.forEach((item) => {
+      const value = this._sortMeta.get(item._id);
+      if (value) {
+        meta.push(Object.assign({ id: item._id }, value));
+      }
+    });
+    sharedCache.set(scope, id, this._cacheProjection(), {
+      projectKeys: keys,
+      items,
+      meta,
+      missing
+    });
+  }
+  /**
+   * Stores current `data` list in the shared cache. It does nothing while
+   * the list for current project is being read.
+   */
+  _updateCache() {
+    if (!this.projectId || !this._data || this._queryController) {
+      return;
+    }
+    this._writeCache(this.projectId, this._projectKeys || [], this._data, this._missingKeys);
+  }
+  /**
+   * Removes cached lists that may contain a changed request.
+   *
+   * @param {Object} request Changed request object
+   */
+  _invalidateCache(request) {
+    const scope = this.adapter.cacheScope;
+    if (!scope || !request) {
+      return;
+    }
+    sharedCache.invalidate(scope, (entry) =>
+      entry.items.some((item) => item._id === request._id) ||
+      this._isProjectRequest(request, entry.projectId, entry.projectKeys));
+  }
+  /**
+   * Removes cached lists of a project.
+   *
+   * @param {String} id Project ID
+   */
+  _deleteCache(id) {
+    const scope = this.adapter.cacheScope;
+    if (scope) {
+      sharedCache.delete(scope, id);
+    }
+  }
+  /**
+   * Marks a start of a datastore query. The `querying` property is `true`
+   * as long as at least one query is running.
+   */
+  _queryStarted() {
+    this._pendingQueries = (this._pendingQueries || 0) + 1;
+    this._querying = true;
+  }
+  /**
+   * Marks an end of a datastore query.
+   */
+  _queryEnded() {
+    this._pendingQueries = Math.max((this._pendingQueries || 0) - 1, 0);
+    this._querying = this._pendingQueries > 0;
+  }
+  /**
+   * Throws an error when the query has been aborted.
+   *
+   * @param {AbortSignal=} signal The query abort signal
+   */
+  _throwIfAborted(signal) {
+    if (!signal || !signal.aborted) {
+      return;
+    }
+    throw new ProjectQueryError(ErrorCodes.ABORTED, 'The query has been aborted');
+  }
+  /**
+   * Creates a query error from an error thrown while reading the data store.
+   *
+   * @param {String} id Project ID
+   * @param {Error|Object} cause The thrown error
+   * @return {ProjectQueryError}
+   */
+  _createQueryError(id, cause) {
+    if (cause instanceof ProjectQueryError) {
+      cause.projectId = cause.projectId || id;
+      return cause;
+    }
+    if (cause && cause.status === 404) {
+      return new ProjectQueryError(ErrorCodes.PROJECT_NOT_FOUND,
+        `The project ${id} does not exist`, {
+          projectId: id,
+          cause
+        });
+    }
+    let message;
+    if (cause && cause.message) {
+      message = cause.message;
+    } else {
+      message = JSON.stringify(cause);
+    }
+    return new ProjectQueryError(ErrorCodes.DATABASE_UNAVAILABLE, message, {
+      projectId: id,
+      cause
+    });
+  }
+  /**
+   * Creates the `partial-read` error when some of project's requests
+   * do not exist.
+   *
+   * @param {String} id Project ID
+   * @param {?Array<String>} missing List of requests IDs that do not exist
+   * @return {ProjectQueryError|undefined} The error or `undefined` when
+   * the list is empty.
+   */
+  _partialReadError(id, missing) {
+    if (!missing || !missing.length) {
+      return undefined;
+    }
+    return new ProjectQueryError(ErrorCodes.PARTIAL_READ,
+      'Some of the project requests do not exist', {
+        projectId: id,
+        missing
+      });
+  }
+  /**
+   * Sets the `error` property when the query is made for current project.
+   *
+   * @param {String} id Queried project ID
+   * @param {ProjectQueryError|undefined} error The query error
+   */
+  _setQueryError(id, error) {
+    if (id === this.projectId) {
+      this._error = error;
+    }
+  }
+
+  /**
+   * Reads the first page of project requests and initializes the pagination
+   * state when the query is made for current project.
+   *
+   * @param {String} id Project ID
+   * @param {Array<String>} keys Project's `requests` list
+   * @param {AbortSignal=} signal The query abort signal
+   * @return {Promise<Array<Object>>} First page of project requests.
+   */
+  async _queryFirstPage(id, keys, signal) {
+    if (!keys.length) {
+      keys = await this._readLegacyKeys(id, signal);
+    }
+    const state = {
+      projectId: id,
+      keys,
+      positions: new Map(keys.map((key, index) => [key, index])),
+      offset: 0,
+      missing: []
+    };
+    if (id === this.projectId) {
+      this._pageState = state;
+    }
+    const requests = await this._readPage(state);
+    this._throwIfAborted(signal);
+    this._setPageMissing(state);
+    return requests;
+  }
+  /**
+   * Reads next page of requests described by the pagination state and
+   * moves the state's offset. IDs of requests that do not exist are added
+   * to the state's `missing` list. In the project order the page keeps
+   * the order of the state's keys.
+   *
+   * @param {Object} state Pagination state
+   * @return {Promise<Array<Object>>} Sorted and scoped list of requests.
+   */
+  async _readPage(state) {
+    const keys = state.keys.slice(state.offset, state.offset + this.pageSize);
+    state.offset += keys.length;
+    if (!keys.length) {
+      return [];
+    }
+    let requests = await this._getProjectRequest(keys, state.missing);
+    if (!this._isProjectOrder()) {
+      requests = this._prepareData(requests);
+    }
+    return this._setDataScope(requests);
+  }
+  /**
+   * Sets IDs of requests that do not exist in pages read so far and
+   * the partial read error when the pagination state is current one.
+   *
+   * @param {Object} state Pagination state
+   */
+  _setPageMissing(state) {
+    if (this._pageState !== state) {
+      return;
+    }
+    const { projectId, missing } = state;
+    this._missingKeys = [...missing];
+    this._setQueryError(projectId, this._partialReadError(projectId, this._missingKeys));
+  }
+  /**
+   * Reads next page of project requests and appends it to the `data` list.
+   * It does nothing when there are no more requests to read.
+   *
+   * @return {Promise<Array<Object>>} Promise resolved to the list of requests
+   * added to the `data` list.
+   */
+  async loadNext() {
+    if (this._pageLoading) {
+      return this._pageLoading;
+    }
+    const state = this._pageState;
+    if (!state || !this.hasMore) {
+      return [];
+    }
+    this._queryStarted();
+    this._pageLoading = this._readPage(state);
+    let page;
+    try {
+      page = await this._pageLoading;
+    } finally {
+      this._pageLoading = undefined;
+      this._queryEnded();
+    }
+    if (this._pageState !== state) {
+      return [];
+    }
+    this._setPageMissing(state);
+    const items = this._upsertList(this._data, page);
+    this._setPageData(items, page);
+    return page;
+  }
+  /**
+   * Sets the `data` list and notifies about an appended page.
+   *
+   * @param {Array<Object>} items The whole `data` list.
+   * @param {Array<Object>} page A list of requests added to the list.
+   */
+  _setPageData(items, page) {
+    this.__data = this._attachHistory(items);
+    this._updateFiltered();
+    this._updateGroups();
+    this._updateStats();
+    this._notifyData(this.data, this._filteredData ? page.filter((item) => this._matchesFilter(item)) : page);
+  }
+  /**
+   * Dispatches the `data` event.
+   *
+   * @param {Array<Object>} items The `data` list.
+   * @param {?Array<Object>} page A list of requests of appended page,
+   * when the data are read in pages.
+   */
+  _notifyData(items, page) {
+    const detail = {
+      projectId: this.projectId,
+      items,
+      total: this.total
+    };
+    if (page) {
+      detail.page = page;
+      detail.hasMore = this.hasMore;
+      detail.totalCount = this.totalCount;
+    }
+    this.dispatchEvent(new DetailEvent('data', {
+      detail
+    }));
+  }
+  /**
+   * @return {Boolean} True when `search` or `filter` is set.
+   */
+  _isFiltering() {
+    const { search, filter } = this;
+    if (search && search.trim()) {
+      return true;
+    }
+    return !!filter && Object.keys(filter).some((key) => !!filter[key]);
+  }
+  /**
+   * Updates the search index and the filtered list after `search` or `filter`
+   * change and dispatches the `data` event.
+   * When the index has no entries for some requests on the list, they are
+   * read from the data store. The list is not updated when `search` or
+   * `filter` changed while reading. Read errors are reported with the
+   * `send-analytics` event.
+   *
+   * @return {Promise}
+   */
+  async _filterChanged() {
+    const { search, filter } = this;
+    if (!this._isFiltering()) {
+      this._searchIndex.clear();
+    } else {
+      const items = this._data || [];
+      const missing = items
+        .filter((item) => !this._searchIndex.has(item._id))
+        .map((item) => item._id);
+      if (missing.length) {
+        let requests;
+        try {
+          requests = await this._getProjectRequest(missing);
+        } catch (cause) {
+          this._liveErrorHandler(cause);
+          return;
+        }
+        this._indexItems(requests);
+        if (this.search !== search || this.filter !== filter) {
+          return;
+        }
+      }
+    }
+    if (!this._data) {
+      return;
+    }
+    this._updateFiltered();
+    this._updateGroups();
+    this._notifyData(this.data);
+  }
+  /**
+   * Adds request objects to the search index.
+   *
+   * @param {Array<Object>} list List of request objects
+   */
+  _indexItems(list) {
+    list.forEach((item) => {
+      const entry = {};
+      FILTER_FIELDS.forEach((field) => {
+        const value = item[field];
+        entry[field] = typeof value === 'string' ? value.toLowerCase() : '';
+      });
+      this._searchIndex.set(item._id, entry);
+    });
+  }
+  /**
+   * Computes the filtered list of requests when `search` or `filter` is set.
+   */
+  _updateFiltered() {
+    const items = this._data;
+    if (!items || !this._isFiltering()) {
+      this._filteredData = undefined;
+      return;
+    }
+    this._filteredData = items.filter((item) => this._matchesFilter(item));
+  }
+  /**
+   * Tests whether a request matches current `search` and `filter`.
+   *
+   * @param {Object} item An item of the `data` list
+   * @return {Boolean} True when the request matches.
+   */
+  _matchesFilter(item) {
+    const entry = this._searchIndex.get(item._id);
+    if (!entry) {
+      return false;
+    }
+    const search = (this.search || '').trim().toLowerCase();
+    if (search && !FILTER_FIELDS.some((field) => entry[field].indexOf(search) !== -1)) {
+      return false;
+    }
+    const filter = this.filter || {};
+    return Object.keys(filter).every((key) => {
+      const value = filter[key];
+      if (!value || !(key in entry)) {
+        return true;
+      }
+      return entry[key].indexOf(String(value).toLowerCase()) !== -1;
+    });
+  }
+  /**
+   * Queries the datastore for related requests lists for multiple projects.
+   * It reads all project documents and all requests in a single batch
+   * and then groups requests by a project.
+   *
+   * @param {Array<String>} ids List of projects IDs
+   * @return {Promise<Object>} Promise resolved to a map where keys are
+   * projects IDs and values are lists of related to project requests.
+   */
+  async queryProjects(ids) {
+    if (!ids || !ids.length) {
+      throw new Error('The "ids" argument is missing');
+    }
+    this._queryStarted();
+    try {
+      const projectsKeys = await this._readProjectsRequests(ids);
+      if (ids === this.projectIds) {
+        this._projectsKeys = Object.assign({}, projectsKeys);
+      }
+      const legacy = ids.filter((id) => !projectsKeys[id].length);
+      if (legacy.length) {
+        const legacyKeys = await this._readLegacyProjectsKeys(legacy);
+        Object.assign(projectsKeys, legacyKeys);
+      }
+      let keys = [];
+      ids.forEach((id) => {
+        keys = keys.concat(projectsKeys[id]);
+      });
+      keys = keys.filter((key, index) => keys.indexOf(key) === index);
+      const docs = keys.length ? await this._getProjectRequest(keys) : [];
+      const result = {};
+      ids.forEach((id) => {
+        const projectKeys = projectsKeys[id];
+        let requests = docs.filter((doc) => projectKeys.indexOf(doc._id) !== -1);
+        requests = this._prepareData(requests);
+        result[id] = this._setDataScope(requests);
+      });
+      return result;
+    } catch (cause) {
+      this.dispatchEvent(new DetailEvent('send-analytics', {
+        bubbles: true,
+        composed: true,
+        detail: {
+          type: 'exception',
+          description: cause.message || JSON.stringify(cause),
+          fatal: true
+        }
+      }));
+      const result = {};
+      ids.forEach((id) => {
+        result[id] = [];
+      });
+      return result;
+    } finally {
+      this._queryEnded();
+    }
+  }
+  /**
+   * Reads `requests` lists from multiple project documents in a single
+   * request.
+   *
+   * @param {Array<String>} ids List of projects IDs
+   * @return {Promise<Object>} A map where keys are projects IDs and values
+   * are lists of requests IDs. Non existing projects have empty list.
+   */
+  async _readProjectsRequests(ids) {
+    const docs = await this.adapter.getProjects(ids);
+    const result = {};
+    docs.forEach((doc, index) => {
+      result[ids[index]] = doc && doc.requests || [];
+    });
+    return result;
+  }
+  /**
+   * Finds requests IDs for projects that are using legacy ID system.
+   * The list of all requests IDs is read only once for all projects.
+   *
+   * @param {Array<String>} ids List of projects IDs
+   * @return {Promise<Object>} A map where keys are projects IDs and values
+   * are lists of requests IDs.
+   */
+  async _readLegacyProjectsKeys(ids) {
+    const result = {};
+    const keys = await this.adapter.listRequestIds();
+    for (const id of ids) {
+      result[id] = this._filterRequests(keys, id);
+    }
+    return result;
+  }
+
+  async _readProjectRequests(id) {
+    const doc = await this.adapter.getProject(id);
+    return doc.requests || [];
+  }
+
+  /**
+   * Reads request documents. Requests that do not exist are not
+   * in the result.
+   *
+   * @param {Array<String>} keys List of requests IDs
+   * @param {Array<String>=} missing When set, IDs of requests that do not
+   * exist are added to the list.
+   * @return {Promise<Array<Object>>} List of request documents.
+   */
+  async _getProjectRequest(keys, missing) {
+    const docs = await this.adapter.getRequests(keys);
+    return docs.filter((doc, index) => {
+      if (!doc && missing) {
+        missing.push(keys[index]);
+      }
+      return !!doc;
+    });
+  }
+
+  /**
+   * Reads IDs of requests that are related to a project using legacy ID
+   * system, where request ID contains project ID.
+   *
+   * The project ID can be at any position of the request ID so it reads
+   * IDs of all requests, without documents, and filters them with
+   * `_filterRequests()`. A key range read would miss requests which IDs
+   * do not start with the project ID.
+   *
+   * @param {String} id Project ID
+   * @param {AbortSignal=} signal The query abort signal
+   * @return {Promise<Array<String>>} List of requests IDs.
+   */
+  async _readLegacyKeys(id, signal) {
+    const keys = await this.adapter.listRequestIds();
+    this._throwIfAborted(signal);
+    return this._filterRequests(keys, id);
+  }
+  /**
+   * Reads request documents in batches of `LEGACY_BATCH_SIZE` keys.
+   * Requests that do not exist are not in the result.
+   *
+   * @param {Array<String>} keys List of requests IDs
+   * @param {AbortSignal=} signal The query abort signal. It is checked
+   * after each batch.
+   * @param {Array<String>=} missing When set, IDs of requests that do not
+   * exist are added to the list.
+   * @return {Promise<Array<Object>>} List of request documents.
+   */
+  async _readLegacyRequests(keys, signal, missing) {
+    const result = [];
+    for (let i = 0; i < keys.length; i += LEGACY_BATCH_SIZE) {
+      const docs = await this._getProjectRequest(keys.slice(i, i + LEGACY_BATCH_SIZE), missing);
+      this._throwIfAborted(signal);
+      result.push(...docs);
+    }
+    return result;
+  }
+  /**
+   * Reads requests of a project that uses the legacy ID system.
+   *
+   * @param {String} id Project ID
+   * @param {AbortSignal=} signal The query abort signal
+   * @return {Promise<Array<Object>>} Sorted and scoped list of requests.
+   */
+  async _tryLegacy(id, signal) {
+    const keys = await this._readLegacyKeys(id, signal);
+    const requests = await this._readLegacyRequests(keys, signal);
+    return this._setDataScope(this._prepareData(requests));
+  }
+
+  /**
+   * Filters requests IDs list to ones related to current
+   * request.
+   * @param {Array<String>} keys List of requests IDs
+   * @param {String} id Project ID
+   * @return {Array<String>} Filtered list of requests IDs that are related
+   * to the project
+   */
+  _filterRequests(keys, id) {
+    return keys.filter((key) => key.indexOf(id) !== -1);
+  }
+  /**
+   * Migrates a project that uses the legacy ID system, where requests are
+   * matched by the ID, to the project's `requests` list.
+   * It finds the legacy requests, writes their IDs to the project's
+   * `requests` list, ordered by `projectOrder`, and adds the project ID to
+   * requests' `projects` list.
+   *
+   * It is safe to call this function more than once. Documents that are
+   * already migrated are not changed.
+   *
+   * @param {String} id Project ID
+   * @return {Promise<Object>} Promise resolved to the migration report with
+   * `projectId`, `project` (whether the project document changed),
+   * `requests` (IDs of changed requests) and `failed` (IDs of requests
+   * that could not be updated) properties.
+   */
+  async migrateLegacyProject(id) {
+    if (!id) {
+      throw new Error('The "id" argument is missing');
+    }
+    const { adapter } = this;
+    const report = {
+      projectId: id,
+      project: false,
+      requests: [],
+      failed: []
+    };
+    const project = await adapter.getProject(id);
+    const legacyKeys = await this._readLegacyKeys(id);
+    if (!legacyKeys.length) {
+      return report;
+    }
+    const docs = this._sortByProjectOrder(await this._readLegacyRequests(legacyKeys));
+    const keys = project.requests || [];
+    const added = docs.map((doc) => doc._id).filter((key) => keys.indexOf(key) === -1);
+    if (added.length) {
+      project.requests = keys.concat(added);
+      await adapter.putProject(project);
+      report.project = true;
+    }
+    const changed = docs.filter((doc) => !doc.projects || doc.projects.indexOf(id) === -1);
+    if (!changed.length) {
+      return report;
+    }
+    changed.forEach((doc) => {
+      doc.projects = (doc.projects || []).concat([id]);
+    });
+    const response = await adapter.putRequests(changed);
+    const updated = this._applyWriteResults(changed, response);
+    changed.forEach((doc) => {
+      if (updated.indexOf(doc) === -1) {
+        report.failed.push(doc._id);
+      } else {
+        report.requests.push(doc._id);
+      }
+    });
+    if (id === this.projectId) {
+      this._projectKeys = project.requests;
+      if (this._data && updated.length) {
+        this._upsertRequests(updated);
+      }
+    }
+    return report;
+  }
+  /**
+   * Migrates a legacy project when the `autoMigrate` is set and dispatches
+   * `legacy-project-migrated` event with the migration report.
+   *
+   * @param {String} id Project ID
+   * @return {Promise<Array<String>>} Promise resolved to the project's
+   * `requests` list after the migration.
+   */
+  async _autoMigrate(id) {
+    const report = await this.migrateLegacyProject(id);
+    if (!report.project && !report.requests.length) {
+      return [];
+    }
+    this.dispatchEvent(new DetailEvent('legacy-project-migrated', {
+      detail: report
+    }));
+    return await this._readProjectRequests(id);
+  }
+  /**
+   * Exports a project and its requests.
+   * The requests are read the same way as `query()` does with the
+   * `fullQuery` property set, in batches of `LEGACY_BATCH_SIZE` keys.
+   * They are ordered by `projectOrder` and name, regardless of the `sort`
+   * property.
+   *
+   * @param {String} id Project ID
+   * @param {String=} format Export format, one of `arc` (ARC export object),
+   * `postman` (Postman v2.1 collection) or `har` (HAR log). Default to `arc`.
+   * @return {Promise<Object>} Promise resolved to an object with `format`,
+   * `data` (the export object) and `missing` (IDs of project requests that
+   * do not exist in the data store) properties.
+   */
+  async exportProject(id, format = 'arc') {
+    if (!id) {
+      throw new Error('The "id" argument is missing');
+    }
+    const project = await this.adapter.getProject(id);
+    let keys = project.requests || [];
+    if (!keys.length) {
+      keys = await this._readLegacyKeys(id);
+    }
+    const missing = [];
+    const requests = this._sortByProjectOrder(await this._readLegacyRequests(keys, undefined, missing));
+    return {
+      format,
+      data: createExport(format, project, requests),
+      missing
+    };
+  }
+  /**
+   * Imports a project and its requests from a Postman v2 collection or ARC
+   * export object. It creates a new project and request documents and reads
+   * the project requests the same way as `query()` does.
+   *
+   * @param {Object|String} payload Postman collection or ARC export object,
+   * or its JSON string.
+   * @return {Promise<Object>} Promise resolved to an object with `projectId`,
+   * `items` (the project requests) and `report` (list of per-item reports
+   * with `index`, `name`, `status` and `reason` properties) properties.
+   * When none of the requests can be imported the project is not created,
+   * `projectId` is not set and the `reason` property explains why.
+   * The promise is rejected when the payload is invalid.
+   */
+  async importProject(payload) {
+    const { project, requests, report } = readImport(payload);
+    const projectId = generateId();
+    const now = Date.now();
+    const docs = requests.map((request, index) => {
+      return Object.assign({}, request, {
+        _id: generateId(),
+        type: 'saved',
+        projects: [projectId],
+        projectOrder: index,
+        created: request.created || now,
+        updated: now
+      });
+    });
+    const imported = report.filter((item) => item.status === 'imported');
+    const response = docs.length ? await this.adapter.putRequests(docs) : [];
+    const stored = this._applyWriteResults(docs, response);
+    response.forEach((item, index) => {
+      if (item.error) {
+        const reportItem = imported[index];
+        reportItem.status = 'skipped';
+        reportItem.reason = `Unable to store the request: ${item.reason || item.error}`;
+      }
+    });
+    if (!stored.length) {
+      return {
+        projectId: undefined,
+        items: [],
+        report,
+        reason: docs.length ?
+          'None of the requests could be stored' :
+          'The payload has no requests to import'
+      };
+    }
+    const projectDoc = Object.assign({}, project, {
+      _id: projectId,
+      requests: stored.map((doc) => doc._id)
+    });
+    const result = await this.adapter.putProject(projectDoc);
+    projectDoc._rev = result.rev;
+    this._notifyProjectChanged(projectDoc);
+    const items = await this.query(projectId);
+    return {
+      projectId,
+      items,
+      report
+    };
+  }
+  /**
+   * Moves a request to a new position in current project and persists
+   * the new order.
+   *
+   * @param {String} id The ID of the request to move.
+   * @param {Number} newIndex The new position of the request in the `data`
+   * list. When the list is filtered, it is the position in the filtered list.
+   * Values out of the list bounds are clamped to the first or last position.
+   * Requests can be moved only when the list is sorted by the project order.
+   * @return {Promise}
+   */
+  async moveRequest(id, newIndex) {
+    if (!this._isProjectOrder()) {
+      throw new Error('Requests can be moved only in the project order');
+    }
+    const visible = (this.data || []).map((item) => item._id);
+    const index = visible.indexOf(id);
+    if (index === -1) {
+      throw new Error(`The request ${id} is not in the project`);
+    }
+    if (typeof newIndex !== 'number' || isNaN(newIndex)) {
+      throw new Error('The "newIndex" argument is not a number');
+    }
+    const moved = [...visible];
+    moved.splice(index, 1);
+    const position = Math.max(0, Math.min(Math.floor(newIndex), moved.length));
+    moved.splice(position, 0, id);
+    // When the list is filtered, the filtered requests keep their positions
+    // and visible requests are reordered within their slots.
+    let slot = 0;
+    const ids = (this._data || []).map((item) => {
+      if (visible.indexOf(item._id) === -1) {
+        return item._id;
+      }
+      return moved[slot++];
+    });
+    await this.setOrder(ids);
+  }
+  /**
+   * Sets the order of requests in current project.
+   * It rewrites the project's `requests` list and sets `projectOrder` property
+   * of each request in a single bulk write. The `data` list is updated
+   * before the data are stored.
+   *
+   * It dispatches non-cancelable `project-object-changed` and
+   * `request-object-changed` events so other elements can update the order.
+   *
+   * @param {Array<String>} ids Ordered list of requests IDs. Project requests
+   * that are not on the list are moved to the end of the list, keeping
+   * their relative order. `projectOrder` of all project requests is
+   * renumbered. Duplicated IDs are ignored and the promise is rejected when
+   * the list has IDs of requests that are not in the project.
+   * @return {Promise}
+   */
+  async setOrder(ids) {
+    const id = this.projectId;
+    if (!id) {
+      throw new Error('The "projectId" property is not set');
+    }
+    if (!ids || !ids.length) {
+      throw new Error('The "ids" argument is missing');
+    }
+    ids = ids.filter((key, index) => ids.indexOf(key) === index);
+    const loaded = (this._data || []).map((item) => item._id);
+    const current = this._projectKeys && this._projectKeys.length ? this._projectKeys : loaded;
+    this._checkOrderKeys(ids, current);
+    this._applyOrder(ids.concat(current.filter((key) => ids.indexOf(key) === -1)));
+    try {
+      const project = await this._updateProject(id, (doc) => {
+        const stored = doc.requests && doc.requests.length ? doc.requests : loaded;
+        this._checkOrderKeys(ids, stored);
+        const keys = stored.filter((key) => ids.indexOf(key) === -1);
+        doc.requests = ids.concat(keys);
+      });
+      const keys = project.requests;
+      const { updated } = await this._updateRequests(keys, (doc) => {
+        const order = keys.indexOf(doc._id);
+        if (doc.projectOrder === order) {
+          return false;
+        }
+        doc.projectOrder = order;
+        return true;
+      });
+      if (this.projectId === id) {
+        this._projectKeys = project.requests;
+        this._upsertRequests(updated);
+      }
+      this._notifyProjectChanged(project);
+      this._notifyRequestsChanged(updated);
+    } catch (cause) {
+      this._autoQuery(this.projectId);
+      throw cause;
+    }
+  }
+  /**
+   * Throws when an ID on the list is not one of project requests.
+   *
+   * @param {Array<String>} ids List of requests IDs to check.
+   * @param {Array<String>} keys Project requests IDs. For a project that uses
+   * the legacy ID system these are IDs of the loaded requests.
+   */
+  _checkOrderKeys(ids, keys) {
+    const unknown = ids.find((key) => keys.indexOf(key) === -1);
+    if (unknown !== undefined) {
+      throw new Error(`The request ${unknown} is not in the project`);
+    }
+  }
+  /**
+   * Adds requests to current project. It updates the project's `requests`
+   * list and requests' `projects` list.
+   *
+   * @param {Array<String>} ids List of requests IDs to add.
+   * @param {Object=} opts Options
+   * @param {Number=} opts.index Position in the project's `requests` list
+   * where to insert the requests. When set the `projectOrder` of all project
+   * requests is renumbered. Default to the end of the list.
+   * @return {Promise<Object>} Promise resolved to the report with
+   * `projectId`, `requests` (IDs of changed requests) and `failed`
+   * (IDs of requests that could not be read or updated) properties.
+   */
+  async addRequests(ids, opts = {}) {
+    const id = this.projectId;
+    if (!id) {
+      throw new Error('The "projectId" property is not set');
+    }
+    return await this._addToProject(id, ids, true, opts.index);
+  }
+  /**
+   * Removes requests from current project. It updates the project's
+   * `requests` list and requests' `projects` and `legacyProject` properties.
+   * The requests are not deleted from the data store.
+   *
+   * It dispatches non-cancelable `project-object-changed` and
+   * `request-object-changed` events so other elements can update the list.
+   *
+   * @param {Array<String>} ids List of requests IDs to remove.
+   * @return {Promise<Object>} Promise resolved to the report with
+   * `projectId`, `requests` (IDs of changed requests) and `failed`
+   * (IDs of requests that could not be read or updated) properties.
+   */
+  async removeRequests(ids) {
+    const id = this.projectId;
+    if (!id) {
+      throw new Error('The "projectId" property is not set');
+    }
+    if (!ids || !ids.length) {
+      throw new Error('The "ids" argument is missing');
+    }
+    const project = await this._updateProject(id, (doc) => {
+      doc.requests = (doc.requests || []).filter((key) => ids.indexOf(key) === -1);
+    });
+    const result = await this._updateRequests(ids, (doc) => {
+      let changed = false;
+      if (doc.projects && doc.projects.indexOf(id) !== -1) {
+        doc.projects = doc.projects.filter((item) => item !== id);
+        changed = true;
+      }
+      if (doc.legacyProject === id) {
+        delete doc.legacyProject;
+        changed = true;
+      }
+      return changed;
+    });
+    if (this._projectKeys && this.projectId === id) {
+      this._projectKeys = project.requests;
+    }
+    this._checkDeleted(ids);
+    this._notifyProjectChanged(project);
+    this._notifyRequestsChanged(result.updated);
+    return {
+      projectId: id,
+      requests: result.updated.map((doc) => doc._id),
+      failed: result.failed
+    };
+  }
+  /**
+   * Adds requests to another project. The requests stay in current project.
+   *
+   * @param {Array<String>} ids List of requests IDs to copy.
+   * @param {String} targetProjectId The ID of the project to add the
+   * requests to.
+   * @return {Promise<Object>} Promise resolved to the report with
+   * `projectId`, `requests` (IDs of changed requests) and `failed`
+   * (IDs of requests that could not be read or updated) properties.
+   */
+  async copyToProject(ids, targetProjectId) {
+    if (!targetProjectId) {
+      throw new Error('The "targetProjectId" argument is missing');
+    }
+    return await this._addToProject(targetProjectId, ids, false);
+  }
+  /**
+   * Adds requests to a project.
+   *
+   * @param {String} projectId Project ID
+   * @param {Array<String>} ids List of requests IDs to add.
+   * @param {Boolean} order Whether to set `projectOrder` of added requests.
+   * @param {Number=} index Position in the project's `requests` list.
+   * @return {Promise<Object>} Promise resolved to the report.
+   */
+  async _addToProject(projectId, ids, order, index) {
+    if (!ids || !ids.length) {
+      throw new Error('The "ids" argument is missing');
+    }
+    const docs = await this.adapter.getRequests(ids);
+    const existing = ids.filter((id, i) => !!docs[i]);
+    const missing = ids.filter((id, i) => !docs[i]);
+    const reorder = order && typeof index === 'number';
+    const project = await this._updateProject(projectId, (doc) => {
+      const keys = (doc.requests || []).filter((key) => existing.indexOf(key) === -1);
+      const position = typeof index === 'number' ? index : keys.length;
+      keys.splice(position, 0, ...existing);
+      doc.requests = keys;
+    });
+    const keys = project.requests;
+    const result = await this._updateRequests(reorder ? keys : existing, (doc) => {
+      let changed = false;
+      if (existing.indexOf(doc._id) !== -1 &&
+        (!doc.projects || doc.projects.indexOf(projectId) === -1)) {
+        doc.projects = (doc.projects || []).concat([projectId]);
+        changed = true;
+      }
+      const position = keys.indexOf(doc._id);
+      if (order && doc.projectOrder !== position) {
+        doc.projectOrder = position;
+        changed = true;
+      }
+      return changed;
+    });
+    if (this.projectId === projectId) {
+      this._projectKeys = keys;
+      if (result.updated.length) {
+        this._upsertRequests(result.updated);
+      }
+    }
+    this._notifyProjectChanged(project);
+    this._notifyRequestsChanged(result.updated);
+    return {
+      projectId,
+      requests: result.updated.map((doc) => doc._id),
+      failed: missing.concat(result.failed)
+    };
+  }
+  /**
+   * Checks references between a project and requests. The report contains:
+   *
+   * - `dangling` - IDs listed in project's `requests` that do not exist
+   * - `orphaned` - IDs of requests that reference the project in `projects`
+   * or `legacyProject` properties but are not listed in project's `requests`
+   * - `duplicates` - IDs listed more than once in project's `requests`
+   * - `valid` - `true` when none of the above were found
+   *
+   * @param {String=} projectId The project ID. Default to `projectId`.
+   * @return {Promise<Object>} Promise resolved to the integrity report.
+   */
+  async checkIntegrity(projectId = this.projectId) {
+    if (!projectId) {
+      throw new Error('The "projectId" argument is missing');
+    }
+    const { adapter } = this;
+    const project = await adapter.getProject(projectId);
+    const requests = await adapter.listRequests();
+    return this._integrityReport(project, requests);
+  }
+  /**
+   * Fixes problems reported by `checkIntegrity()`. Dangling and duplicated IDs
+   * are removed from project's `requests` and orphaned requests are added
+   * at the end of the list in order of their `projectOrder`.
+   * When the project is current project, the `data` list and `stats` are
+   * updated.
+   *
+   * @param {String=} projectId The project ID. Default to `projectId`.
+   * @param {Object=} opts Repair options
+   * @param {Boolean=} opts.dryRun When set the project is not changed
+   * and the result contains the `requests` list the project would have.
+   * @return {Promise<Object>} Promise resolved to the integrity report with
+   * the `requests` (repaired project's requests list) and `repaired`
+   * (whether the project has been changed) properties.
+   */
+  async repair(projectId = this.projectId, opts = {}) {
+    if (!projectId) {
+      throw new Error('The "projectId" argument is missing');
+    }
+    const { adapter } = this;
+    const requests = await adapter.listRequests();
+    let project = await adapter.getProject(projectId);
+    const report = this._integrityReport(project, requests);
+    const result = Object.assign({}, report, {
+      requests: this._repairKeys(project.requests, report, requests),
+      repaired: false
+    });
+    if (report.valid || opts.dryRun) {
+      return result;
+    }
+    project = await this._updateProject(projectId, (doc) => {
+      doc.requests = this._repairKeys(doc.requests, report, requests);
+    });
+    result.requests = project.requests;
+    result.repaired = true;
+    this._notifyProjectChanged(project);
+    if (projectId === this.projectId) {
+      await this._projectChangeHandler({ id: projectId, doc: project });
+    }
+    return result;
+  }
+  /**
+   * Creates the integrity report of a project.
+   *
+   * @param {Object} project The project document
+   * @param {Array<Object>} requests List of all requests
+   * @return {Object} The integrity report.
+   */
+  _integrityReport(project, requests) {
+    const projectId = project._id;
+    const keys = project.requests || [];
+    const existing = new Set(requests.map((doc) => doc._id));
+    const dangling = [];
+    const duplicates = [];
+    keys.forEach((key, index) => {
+      if (!existing.has(key) && dangling.indexOf(key) === -1) {
+        dangling.push(key);
+      }
+      if (keys.indexOf(key) !== index && duplicates.indexOf(key) === -1) {
+        duplicates.push(key);
+      }
+    });
+    const orphaned = requests
+      .filter((doc) => {
+        const projects = (doc.projects || []).concat(doc.legacyProject || []);
+        return projects.indexOf(projectId) !== -1 && keys.indexOf(doc._id) === -1;
+      })
+      .map((doc) => doc._id);
+    return {
+      projectId,
+      dangling,
+      orphaned,
+      duplicates,
+      valid: !dangling.length && !orphaned.length && !duplicates.length
+    };
+  }
+  /**
+   * Computes project's `requests` list without problems found in
+   * the integrity report.
+   *
+   * @param {?Array<String>} keys Project's `requests` list
+   * @param {Object} report The integrity report
+   * @param {Array<Object>} requests List of all requests
+   * @return {Array<String>} Repaired `requests` list.
+   */
+  _repairKeys(keys, report, requests) {
+    const result = [];
+    (keys || []).forEach((key) => {
+      if (report.dangling.indexOf(key) === -1 && result.indexOf(key) === -1) {
+        result.push(key);
+      }
+    });
+    const orphaned = this._sortByProjectOrder(requests.filter((doc) =>
+      report.orphaned.indexOf(doc._id) !== -1 && result.indexOf(doc._id) === -1));
+    return result.concat(orphaned.map((doc) => doc._id));
+  }
+  /**
+   * Reads, updates and stores a project document. When the document was
+   * changed after it was read then the operation is repeated.
+   *
+   * @param {String} id Project ID
+   * @param {Function} update A function that changes the project document.
+   * @return {Promise<Object>} Promise resolved to the updated project.
+   */
+  async _updateProject(id, update) {
+    const { adapter } = this;
+    for (let attempt = 0; ; attempt++) {
+      const project = await adapter.getProject(id);
+      update(project);
+      try {
+        const result = await adapter.putProject(project);
+        project._rev = result.rev;
+        return project;
+      } catch (cause) {
+        if (cause.status !== 409 || attempt >= MAX_WRITE_RETRIES) {
+          throw cause;
+        }
+      }
+    }
+  }
+  /**
+   * Reads, updates and stores request documents in bulk. Documents that
+   * were changed after they were read are read and updated again.
+   *
+   * @param {Array<String>} ids List of requests IDs
+   * @param {Function} update A function that changes a request document.
+   * It returns `false` when the document has not changed.
+   * @return {Promise<Object>} Promise resolved to an object with `updated`
+   * (list of stored documents) and `failed` (list of IDs that could not be
+   * stored) properties.
+   */
+  async _updateRequests(ids, update) {
+    const updated = [];
+    const failed = [];
+    let pending = ids;
+    for (let attempt = 0; attempt <= MAX_WRITE_RETRIES && pending.length; attempt++) {
+      const docs = await this._getProjectRequest(pending);
+      const changed = docs.filter((doc) => update(doc) !== false);
+      if (!changed.length) {
+        break;
+      }
+      const response = await this.adapter.putRequests(changed);
+      pending = [];
+      response.forEach((item, index) => {
+        const doc = changed[index];
+        if (!item.error) {
+          doc._rev = item.rev;
+          updated.push(doc);
+        } else if (item.status === 409) {
+          pending.push(doc._id);
+        } else {
+          failed.push(doc._id);
+        }
+      });
+    }
+    return {
+      updated,
+      failed: failed.concat(pending)
+    };
+  }
+  /**
+   * Updates `projectOrder` of items on the `data` list and sorts the list.
+   * When the data are read in pages the positions of the paged keys are
+   * updated as well.
+   *
+   * @param {Array<String>} ids Ordered list of requests IDs.
+   */
+  _applyOrder(ids) {
+    if (this._pageState) {
+      this._pageState.positions = new Map(ids.map((key, index) => [key, index]));
+    }
+    const items = (this._data || []).map((item) => {
+      const order = ids.indexOf(item._id);
+      if (order === -1) {
+        return item;
+      }
+      const meta = this._sortMeta.get(item._id);
+      if (meta) {
+        meta.projectOrder = order;
+      }
+      if ('projectOrder' in item) {
+        return Object.assign({}, item, { projectOrder: order });
+      }
+      return item;
+    });
+    this._data = this._prepareData(items);
+  }
+  /**
+   * Sets new revisions of documents after a bulk write.
+   *
+   * @param {Array<Object>} docs Written documents
+   * @param {Array<Object>} response Bulk write response
+   * @return {Array<Object>} List of documents that were written.
+   */
+  _applyWriteResults(docs, response) {
+    const result = [];
+    response.forEach((item, index) => {
+      if (item.error) {
+        return;
+      }
+      const doc = docs[index];
+      doc._rev = item.rev;
+      result.push(doc);
+    });
+    return result;
+  }
+  /**
+   * Dispatches non-cancelable `project-object-changed` event.
+   *
+   * @param {Object} project Changed project document
+   */
+  _notifyProjectChanged(project) {
+    this._deleteCache(project._id);
+    if (project._id === this.projectId) {
+      this._updateCache();
+    }
+    this.dispatchEvent(new DetailEvent('project-object-changed', {
+      bubbles: true,
+      composed: true,
+      detail: {
+        project
+      }
+    }));
+  }
+  /**
+   * Dispatches non-cancelable `request-object-changed` event for each
+   * request.
+   *
+   * @param {Array<Object>} requests Changed request documents
+   */
+  _notifyRequestsChanged(requests) {
+    requests.forEach((request) => {
+      this.dispatchEvent(new DetailEvent('request-object-changed', {
+        bubbles: true,
+        composed: true,
+        detail: {
+          request,
+          type: 'saved'
+        }
+      }));
+    });
+  }
+  /**
+   * Perpares request objects depending on the `fullQuery` and `fields`
+   * properties. If the `fullQuery` property is set this does nothing.
+   * Otherwise this returns the `_id`, `_rev` and properties listed in `fields`
+   * in the list of objects.
+   *
+   * @param {Array} list List of request objects
+   * @return {Array} List of requests with requested scope.
+   */
+  _setDataScope(list) {
+    if (this._isFiltering()) {
+      this._indexItems(list);
+    }
+    if (this.fullQuery) {
+      return list;
+    }
+    const fields = this.fields && this.fields.length ? this.fields : ['name'];
+    return list.map((item) => {
+      this._sortMeta.set(item._id, {
+        projectOrder: item.projectOrder,
+        name: item.name,
+        updated: item.updated,
+        method: item.method,
+        url: item.url
+      });
+      return this._projectItem(item, fields);
+    });
+  }
+  /**
+   * Creates a projection of a request object that contains `_id`, `_rev`
+   * and listed fields.
+   *
+   * @param {Object} item Request object
+   * @param {Array<String>} fields List of fields to project. A field is either
+   * a name of computed field or a dot separated path to a property.
+   * @return {Object} The projection of the request object.
+   */
+  _projectItem(item, fields) {
+    const result = {
+      _id: item._id,
+      _rev: item._rev
+    };
+    const computed = this.constructor.computedFields;
+    fields.forEach((field) => {
+      let value;
+      if (typeof computed[field] === 'function') {
+        value = computed[field](item);
+        if (value !== undefined) {
+          result[field] = value;
+        }
+        return;
+      }
+      const path = field.split('.');
+      value = item;
+      for (let i = 0; i < path.length && value !== undefined && value !== null; i++) {
+        value = value[path[i]];
+      }
+      if (value === undefined) {
+        return;
+      }
+      let target = result;
+      const last = path.pop();
+      path.forEach((part) => {
+        if (typeof target[part] !== 'object' || target[part] === null) {
+          target[part] = {};
+        }
+        target = target[part];
+      });
+      target[last] = value;
+    });
+    return result;
+  }
+  /**
+   * Sorts requests list according to `sort`, `sortDirection` and `comparator`
+   * properties, by default by `projectOrder` property. Also, maps  `_id` to `id`
+   * so some legacy views can support this data.
+   * Scoped objects that has no sort properties are sorted by values
+   * of the original request object.
+   *
+   * @param {Array} list List of request objects
+   * @return {Array} Sorted list of requests
+   */
+  _prepareData(list) {
+    if (!list.length) {
+      return [];
+    }
+    list.sort((a, b) => this._compareItems(a, b));
+    return list;
+  }
+  /**
+   * Sorts requests by `projectOrder` and then by name, regardless of
+   * the `sort`, `sortDirection` and `comparator` properties.
+   * It is used when the order of requests is stored or exported.
+   *
+   * @param {Array} list List of request objects
+   * @return {Array} Sorted list of requests
+   */
+  _sortByProjectOrder(list) {
+    return list.sort((a, b) => {
+      const result = this._compareValues(this._sortValue(a, 'projectOrder'),
+        this._sortValue(b, 'projectOrder'));
+      if (result) {
+        return result;
+      }
+      return this._compareValues(this._sortValue(a, 'name') || '', this._sortValue(b, 'name') || '');
+    });
+  }
+  /**
+   * Compares two requests according to `comparator`, `sort`
+   * and `sortDirection` properties. Requests with equal values are
+   * sorted by name. When the data are read in pages the project order
+   * is the order of the paged keys.
+   *
+   * @param {Object} a Request object
+   * @param {Object} b Request object
+   * @return {Number} Sort result as in the `Array.prototype.sort()`
+   * compare function.
+   */
+  _compareItems(a, b) {
+    if (typeof this.comparator === 'function') {
+      return this.comparator(a, b);
+    }
+    const field = SORT_FIELDS[this.sort] || SORT_FIELDS.order;
+    let result;
+    if (field === SORT_FIELDS.order && this.pageSize > 0 && this._pageState) {
+      const { positions } = this._pageState;
+      result = this._compareValues(this._pagePosition(positions, a), this._pagePosition(positions, b));
+    } else {
+      result = this._compareValues(this._sortValue(a, field), this._sortValue(b, field));
+    }
+    if (!result && field !== 'name') {
+      result = this._compareValues(this._sortValue(a, 'name') || '', this._sortValue(b, 'name') || '');
+    }
+    return this.sortDirection === 'desc' ? -result : result;
+  }
+  /**
+   * @param {Map} positions Positions of the paged keys
+   * @param {Object} item Request object
+   * @return {Number} Position of the request in the paged keys. Requests
+   * that are not in the keys are after all paged requests.
+   */
+  _pagePosition(positions, item) {
+    const position = positions.get(item._id);
+    return position === undefined ? positions.size : position;
+  }
+  /**
+   * Compares two sort values. Strings are compared with `localeCompare()`.
+   *
+   * @param {*} a A value to compare
+   * @param {*} b A value to compare
+   * @return {Number} Sort result
+   */
+  _compareValues(a, b) {
+    if (typeof a === 'string' || typeof b === 'string') {
+      return String(a || '').localeCompare(String(b || ''));
+    }
+    if (a > b) {
+      return 1;
+    }
+    if (a < b) {
+      return -1;
+    }
+    return 0;
+  }
+  /**
+   * @return {Boolean} True when the `data` list is sorted in the ascending
+   * project order.
+   */
+  _isProjectOrder() {
+    if (typeof this.comparator === 'function') {
+      return false;
+    }
+    if (this.sortDirection === 'desc') {
+      return false;
+    }
+    return !this.sort || !SORT_FIELDS[this.sort] || this.sort === 'order';
+  }
+  /**
+   * Computes the `groups` list from the `data` list. Group keys are computed
+   * only for requests that changed since the last computation and groups
+   * which requests did not change are not replaced.
+   * Groups are sorted by the key. Requests in a group keep the order
+   * of the `data` list.
+   */
+  _updateGroups() {
+    const mode = this.groupBy;
+    const items = this.data;
+    if (GROUP_MODES.indexOf(mode) === -1 || !items) {
+      this._groupState = undefined;
+      this._groups = undefined;
+      return;
+    }
+    const depth = this.groupDepth || 1;
+    let state = this._groupState;
+    if (!state || state.mode !== mode || state.depth !== depth) {
+      state = { mode, depth, keys: new Map(), items: new Map(), groups: new Map() };
+    }
+    const keys = new Map();
+    const sources = new Map();
+    const lists = new Map();
+    items.forEach((item) => {
+      const id = item._id;
+      let key = state.keys.get(id);
+      if (key === undefined || state.items.get(id) !== item) {
+        key = this._groupKey(item, mode, depth);
+      }
+      keys.set(id, key);
+      sources.set(id, item);
+      if (!lists.has(key)) {
+        lists.set(key, []);
+      }
+      lists.get(key).push(item);
+    });
+    let changed = !this._groups || this._groups.length !== lists.size;
+    const groups = new Map();
+    const result = Array.from(lists.keys()).sort((a, b) => a.localeCompare(b)).map((key) => {
+      const list = lists.get(key);
+      let group = state.groups.get(key);
+      if (!group || group.items.length !== list.length || group.items.some((item, index) => item !== list[index])) {
+        group = {
+          key,
+          count: list.length,
+          items: list
+        };
+        changed = true;
+      }
+      groups.set(key, group);
+      return group;
+    });
+    if (!changed) {
+      changed = result.some((group, index) => this._groups[index] !== group);
+    }
+    this._groupState = { mode, depth, keys, items: sources, groups };
+    if (changed) {
+      this._groups = result;
+    }
+  }
+  /**
+   * Computes the `stats` object from the `data` list regardless of
+   * `search` and `filter` properties.
+   */
+  _updateStats() {
+    const items = this._data;
+    if (!items) {
+      this._stats = undefined;
+      return;
+    }
+    const { host } = this.constructor.computedFields;
+    const methods = {};
+    const hosts = {};
+    let lastUpdated;
+    let noUrl = 0;
+    items.forEach((item) => {
+      const method = String(this._sortValue(item, 'method') || '').toUpperCase();
+      if (method) {
+        methods[method] = (methods[method] || 0) + 1;
+      }
+      const url = this._sortValue(item, 'url');
+      if (!url) {
+        noUrl++;
+      } else {
+        const name = host({ url });
+        if (name) {
+          hosts[name] = (hosts[name] || 0) + 1;
+        }
+      }
+      const updated = this._sortValue(item, 'updated');
+      if (typeof updated === 'number' && (!lastUpdated || updated > lastUpdated.updated)) {
+        lastUpdated = {
+          id: item._id,
+          name: this._sortValue(item, 'name'),
+          updated
+        };
+      }
+    });
+    this._stats = {
+      total: items.length,
+      methods,
+      hosts,
+      lastUpdated,
+      noUrl,
+      dangling: (this._missingKeys || []).length
+    };
+  }
+  /**
+   * Computes a group key of a request.
+   *
+   * @param {Object} item An item of the `data` list
+   * @param {String} mode Grouping mode, one of `host`, `method` or `path`.
+   * @param {Number} depth Number of path segments of the `path` mode.
+   * @return {String} The group key. It is an empty string when the request
+   * has no value for the group.
+   */
+  _groupKey(item, mode, depth) {
+    const computed = this.constructor.computedFields;
+    const request = { url: this._sortValue(item, 'url') };
+    switch (mode) {
+      case 'host':
+        return computed.host(request) || '';
+      case 'method':
+        return String(this._sortValue(item, 'method') || '').toUpperCase();
+      default: {
+        if (!request.url) {
+          return '';
+        }
+        const path = computed.path(request) || '';
+        const segments = path.split('/').filter((segment) => !!segment);
+        return `/${segments.slice(0, depth).join('/')}`;
+      }
+    }
+  }
+  /**
+   * Sorts the `data` and `projectsData` lists after the sort options change.
+   */
+  _sortChanged() {
+    if (this._data) {
+      this._data = this._prepareData([...this._data]);
+    }
+    const data = this.projectsData;
+    if (data) {
+      const result = {};
+      Object.keys(data).forEach((id) => {
+        result[id] = this._prepareData([...data[id]]);
+      });
+      this._projectsData = result;
+    }
+  }
+  /**
+   * Reads a value used to sort the list. When the item is a scoped
+   * object that does not have the property then the value is read from
+   * the original request object.
+   *
+   * @param {Object} item Request object
+   * @param {String} property Property name
+   * @return {*} The value of the property.
+   */
+  _sortValue(item, property) {
+    if (property in item) {
+      return item[property];
+    }
+    const meta = this._sortMeta.get(item._id);
+    return meta ? meta[property] : undefined;
+  }
+  /**
+   * Handler for the `project-related-requests-query` event.
+   * If the event is cancelable and was not handled by other element it
+   * cancels the event and sets the `result` property on the event's detail
+   * object with the promise resolved to the list of requests of the
+   * project. The promise is rejected with the `ProjectQueryError` when
+   * the project cannot be read.
+   *
+   * @param {CustomEvent} e
+   */
+  _queryHandler(e) {
+    if (!e.cancelable || e.defaultPrevented) {
+      return;
+    }
+    const { projectId } = e.detail;
+    if (!projectId) {
+      return;
+    }
+    e.preventDefault();
+    e.detail.result = this._queryRequested(projectId);
+  }
+  /**
+   * Queries for requests of a project requested with the
+   * `project-related-requests-query` event.
+   *
+   * @param {String} projectId Project ID
+   * @return {Promise<Array<Object>>} Promise resolved to the list of
+   * requests of the project.
+   */
+  async _queryRequested(projectId) {
+    const items = await this.query(projectId, { reject: true });
+    this._notifyRead(projectId, items);
+    return items;
+  }
+  /**
+   * Dispatches the `project-related-requests-read` event.
+   *
+   * @param {String} projectId The queried project ID
+   * @param {Array<Object>} items List of requests of the project
+   */
+  _notifyRead(projectId, items) {
+    this.dispatchEvent(new DetailEvent('project-related-requests-read', {
+      bubbles: true,
+      composed: true,
+      detail: {
+        projectId,
+        items
+      }
+    }));
+  }
+  /**
+   * Handler for the `request-object-changed` event.
+   * If the event is not cancelable and the request is related to current
+   * project then it updates/adds request to the `data` list. A request that
+   * is no longer related to the project is removed from the list.
+   * Changes of history requests update history values of the items when
+   * `linkHistory` is set.
+   *
+   * @param {CustomEvent} e
+   */
+  _requestObjectChanged(e) {
+    if (e.cancelable) {
+      return;
+    }
+    if (e.detail.type === 'history') {
+      this._historyChanged(e.detail.request);
+      return;
+    }
+    const { request } = e.detail;
+    this._invalidateCache(request);
+    this._upsertProjectsRequest(request);
+    const before = this.data ? this.data.map((item) => item._id) : [];
+    if (this._isProjectRequest(request)) {
+      this._upsertRequests([request]);
+    } else {
+      const items = this._data;
+      if (!items || !items.some((item) => item._id === request._id)) {
+        return;
+      }
+      this._data = items.filter((item) => item._id !== request._id);
+    }
+    this._updateCache();
+    this._notifyItemsChanged(before);
+  }
+  /**
+   * Dispatches the `items-changed` event with requests added to, removed from
+   * and moved on the `data` list. The event is not dispatched when
+   * the positions of requests did not change.
+   *
+   * @param {Array<String>} before IDs of requests on the `data` list before
+   * the change.
+   */
+  _notifyItemsChanged(before) {
+    const after = this.data ? this.data.map((item) => item._id) : [];
+    const added = [];
+    const removed = [];
+    const moved = [];
+    after.forEach((id, index) => {
+      if (before.indexOf(id) === -1) {
+        added.push({ id, index });
+      }
+    });
+    before.forEach((id, index) => {
+      if (after.indexOf(id) === -1) {
+        removed.push({ id, index });
+      }
+    });
+    const kept = after.filter((id) => before.indexOf(id) !== -1);
+    const stable = this._longestOrderedSet(kept.map((id) => before.indexOf(id)));
+    kept.forEach((id, index) => {
+      if (!stable.has(index)) {
+        moved.push({
+          id,
+          from: before.indexOf(id),
+          to: after.indexOf(id)
+        });
+      }
+    });
+    if (!added.length && !removed.length && !moved.length) {
+      return;
+    }
+    this.dispatchEvent(new DetailEvent('items-changed', {
+      detail: {
+        projectId: this.projectId,
+        added,
+        removed,
+        moved
+      }
+    }));
+  }
+  /**
+   * Computes the longest increasing subsequence of a list of positions.
+   * Items of the subsequence kept their relative order so only remaining
+   * items are reported as moved.
+   *
+   * @param {Array<Number>} positions List of previous positions of items
+   * in current order.
+   * @return {Set<Number>} Indexes of `positions` that are in the subsequence.
+   */
+  _longestOrderedSet(positions) {
+    const tails = [];
+    const previous = [];
+    positions.forEach((position, index) => {
+      let low = 0;
+      let high = tails.length;
+      while (low < high) {
+        const middle = (low + high) >> 1;
+        if (positions[tails[middle]] < position) {
+          low = middle + 1;
+        } else {
+          high = middle;
+        }
+      }
+      previous[index] = low > 0 ? tails[low - 1] : -1;
+      tails[low] = index;
+    });
+    const result = new Set();
+    let index = tails.length ? tails[tails.length - 1] : -1;
+    while (index !== -1) {
+      result.add(index);
+      index = previous[index];
+    }
+    return result;
+  }
+  /**
+   * Tests whether a request object is related to current project.
+   * The request is related when its `legacyProject` or `projects` property
+   * contains project ID. When the request does not reference any project
+   * it is related when project's `requests` list has its ID.
+   * When the project has no `requests` list then the legacy ID system is
+   * used where the request ID contains project ID.
+   *
+   * @param {Object} request Request object
+   * @param {?String} projectId The project ID. Default to `projectId`.
+   * @param {?Array<String>} keys Project's `requests` list. Default to
+   * the list read with the last query.
+   * @return {Boolean} True when the request belongs to the project.
+   */
+  _isProjectRequest(request, projectId = this.projectId, keys = this._projectKeys) {
+    if (!projectId || !request) {
+      return false;
+    }
+    let projects = [];
+    if (request.legacyProject) {
+      projects = [request.legacyProject];
+    }
+    if (request.projects) {
+      projects = projects.concat(request.projects);
+    }
+    if (projects.indexOf(projectId) !== -1) {
+      return true;
+    }
+    if (projects.length) {
+      return false;
+    }
+    if (keys && keys.length) {
+      return keys.indexOf(request._id) !== -1;
+    }
+    return !!request._id && request._id.indexOf(projectId) !== -1;
+  }
+  /**
+   * Adds or updates requests on the `data` list and sorts the list.
+   * The requests are scoped the same way as the query result.
+   *
+   * @param {Array<Object>} requests List of request objects to add or update.
+   */
+  _upsertRequests(requests) {
+    const scoped = this._setDataScope(requests);
+    this._data = this._upsertList(this._data, scoped);
+  }
+  /**
+   * Adds or updates a request on each list of the `projectsData` map
+   * which project is related to the request and removes it from lists
+   * of other projects.
+   * The request is scoped the same way as the query result.
+   *
+   * @param {Object} request Request object to add or update.
+   */
+  _upsertProjectsRequest(request) {
+    const data = this.projectsData;
+    if (!data || !request) {
+      return;
+    }
+    const [scoped] = this._setDataScope([request]);
+    const keys = this._projectsKeys || {};
+    let changed = false;
+    const result = Object.assign({}, data);
+    Object.keys(data).forEach((id) => {
+      if (this._isProjectRequest(request, id, keys[id])) {
+        result[id] = this._upsertList(data[id], [scoped]);
+        changed = true;
+      } else if (data[id].some((item) => item._id === request._id)) {
+        result[id] = data[id].filter((item) => item._id !== request._id);
+        changed = true;
+      }
+    });
+    if (changed) {
+      this._projectsData = result;
+    }
+  }
+  /**
+   * Creates a copy of the list with added or updated requests and sorts it.
+   *
+   * @param {?Array<Object>} list Current list of requests.
+   * @param {Array<Object>} requests List of request objects to add or update.
+   * @return {Array<Object>} New, sorted list of requests.
+   */
+  _upsertList(list, requests) {
+    const items = list ? [...list] : [];
+    requests.forEach((request) => {
+      const index = items.findIndex((item) => item._id === request._id);
+      if (index === -1) {
+        items.push(request);
+      } else {
+        items[index] = request;
+      }
+    });
+    return this._prepareData(items);
+  }
+  /**
+   * Handler for the `request-object-deleted` event. Removes a request from the
+   * `data` list if removed item is on the list.
+   *
+   * @param {CustomEvent} e
+   */
+  _requestObjectDeleted(e) {
+    if (e.cancelable) {
+      // not yet saved
+      return;
+    }
+    const { id } = e.detail;
+    if (!id) {
+      return;
+    }
+    this._checkDeleted([id], true);
+  }
+  /**
+   * Handler for the `request-objects-deleted` event. Removes deleted requests
+   * from the `data` list if they are on the list.
+   *
+   * @param {CustomEvent} e
+   */
+  _requestObjectsDeleted(e) {
+    if (e.cancelable) {
+      // not yet saved
+      return;
+    }
+    const ids = e.detail.items;
+    if (!ids || !ids.length) {
+      return;
+    }
+    this._checkDeleted(ids, true);
+  }
+  /**
+   * Handler for the `request-objects-restored` event. Puts restored requests
+   * back on the `data` list.
+   *
+   * @param {CustomEvent} e
+   */
+  _requestObjectsRestored(e) {
+    if (e.cancelable) {
+      return;
+    }
+    const requests = e.detail.items;
+    if (!requests || !requests.length) {
+      return;
+    }
+    this._restoreRequests(requests.filter((request) => !!request && !!request._id));
+  }
+  /**
+   * Checks if any of the removed items is on current `data` list. Removes
+   * items that are in the `ids` list.
+   * @param {Array<String>} ids List of removed items IDs.
+   * @param {Boolean=} deleted When set the requests were deleted from the
+   * data store and removed items are remembered so they can be restored
+   * on their positions by `_restoreRequests()`.
+   */
+  _checkDeleted(ids, deleted) {
+    this._checkProjectsDeleted(ids);
+    ids.forEach((id) => this._invalidateCache({ _id: id }));
+    const items = this._data;
+    if (!items || !items.length) {
+      return;
+    }
+    let changed = false;
+    for (let i = items.length - 1; i >= 0; i--) {
+      if (~ids.indexOf(items[i]._id)) {
+        const [item] = items.splice(i, 1);
+        if (deleted) {
+          this._rememberRemoved(item, i);
+        }
+        changed = true;
+      }
+    }
+    if (changed) {
+      this._data = [...items];
+      this._updateCache();
+    }
+  }
+  /**
+   * @return {Number} Number of milliseconds during which deleted requests
+   * are remembered. Default to 30 seconds.
+   */
+  _restoreTimeout() {
+    const { restoreTimeout } = this;
+    return typeof restoreTimeout === 'number' ? restoreTimeout : RESTORE_TIMEOUT;
+  }
+  /**
+   * Remembers a request removed from the `data` list with its position
+   * and `projectOrder`.
+   *
+   * @param {Object} item Removed item of the `data` list.
+   * @param {Number} index Position of the item on the list.
+   */
+  _rememberRemoved(item, index) {
+    this._expireRemoved();
+    if (this._restoreTimeout() <= 0) {
+      return;
+    }
+    if (!this._removedItems) {
+      this._removedItems = new Map();
+      this._removedSequence = 0;
+    }
+    this._removedItems.set(item._id, {
+      item,
+      index,
+      projectOrder: this._sortValue(item, 'projectOrder'),
+      time: Date.now(),
+      sequence: this._removedSequence++
+    });
+  }
+  /**
+   * Forgets removed requests that are older than the restore timeout.
+   */
+  _expireRemoved() {
+    const removed = this._removedItems;
+    if (!removed) {
+      return;
+    }
+    const time = Date.now() - this._restoreTimeout();
+    removed.forEach((entry, id) => {
+      if (entry.time <= time) {
+        removed.delete(id);
+      }
+    });
+    if (!removed.size) {
+      this._removedItems = undefined;
+    }
+  }
+  /**
+   * Puts restored requests back on the `data` list.
+   * Requests that were deleted within the restore timeout are inserted
+   * on their previous positions, with previous `projectOrder` when the
+   * restored object does not have one. Other requests related to
+   * the project are added the same way as changed requests.
+   *
+   * @param {Array<Object>} requests List of restored request objects.
+   */
+  _restoreRequests(requests) {
+    requests.forEach((request) => this._upsertProjectsRequest(request));
+    this._expireRemoved();
+    const removed = this._removedItems || new Map();
+    const entries = [];
+    const other = [];
+    requests.forEach((request) => {
+      const entry = removed.get(request._id);
+      if (entry) {
+        removed.delete(request._id);
+        entries.push({ entry, request });
+      } else if (this._isProjectRequest(request)) {
+        other.push(request);
+      }
+    });
+    if (!entries.length && !other.length) {
+      return;
+    }
+    const before = this.data ? this.data.map((item) => item._id) : [];
+    const items = this._data ? [...this._data] : [];
+    // last removed item is restored first so positions of items removed
+    // earlier are valid when they are inserted.
+    entries.sort((a, b) => b.entry.sequence - a.entry.sequence);
+    entries.forEach(({ entry, request }) => {
+      if (request.projectOrder === undefined && entry.projectOrder !== undefined) {
+        request = Object.assign({}, request, { projectOrder: entry.projectOrder });
+      }
+      const [scoped] = this._setDataScope([request]);
+      const index = items.findIndex((item) => item._id === scoped._id);
+      if (index !== -1) {
+        items.splice(index, 1);
+      }
+      items.splice(Math.min(entry.index, items.length), 0, scoped);
+    });
+    this._data = this._upsertList(items, this._setDataScope(other));
+    this._updateCache();
+    this._notifyItemsChanged(before);
+  }
+  /**
+   * Removes items that are in the `ids` list from each list of the
+   * `projectsData` map.
+   * @param {Array<String>} ids List of removed items IDs.
+   */
+  _checkProjectsDeleted(ids) {
+    const data = this.projectsData;
+    if (!data) {
+      return;
+    }
+    let changed = false;
+    const result = Object.assign({}, data);
+    Object.keys(data).forEach((id) => {
+      const items = data[id];
+      const filtered = items.filter((item) => ids.indexOf(item._id) === -1);
+      if (filtered.length !== items.length) {
+        result[id] = filtered;
+        changed = true;
+      }
+    });
+    if (changed) {
+      this._projectsData = result;
+    }
+  }
+
+  /**
+   * Starts or stops listening to the data store changes feeds depending on
+   * the `live`, `projectId` and connection state. The feeds are always
+   * cancelled before new feeds are created.
+   */
+  _updateLiveFeeds() {
+    this._cancelLiveFeeds();
+    const { projectId } = this;
+    if (!this.live || !projectId || !this.isConnected) {
+      return;
+    }
+    const { adapter } = this;
+    this._liveFeeds = [
+      adapter.watchRequests(this._savedChangeHandler, this._liveErrorHandler),
+      adapter.watchProjects([projectId], this._projectChangeHandler, this._liveErrorHandler)
+    ];
+  }
+  /**
+   * Cancels changes feeds created in `_updateLiveFeeds()`, if any.
+   */
+  _cancelLiveFeeds() {
+    const feeds = this._liveFeeds;
+    if (!feeds) {
+      return;
+    }
+    this._liveFeeds = undefined;
+    feeds.forEach((feed) => feed.cancel());
+  }
+  /**
+   * Handler for a change in the saved requests store.
+   * Removes deleted requests and requests that are no longer related to the
+   * project. Adds or updates requests related to the project.
+   *
+   * @param {Object} change Storage adapter change object
+   */
+  _savedChangeHandler(change) {
+    const { id, doc } = change;
+    this._invalidateCache(doc || { _id: id });
+    if (change.deleted) {
+      this._checkDeleted([id], true);
+      return;
+    }
+    if (this._isProjectRequest(doc)) {
+      this._upsertRequests([doc]);
+    } else {
+      this._checkDeleted([id]);
+    }
+  }
+  /**
+   * Handler for the `project-object-changed` event.
+   * If the event is not cancelable and the project is current project
+   * then it updates the `data` list with the project's `requests` list.
+   *
+   * @param {CustomEvent} e
+   * @return {Promise}
+   */
+  async _projectObjectChanged(e) {
+    if (e.cancelable) {
+      return;
+    }
+    const { project } = e.detail;
+    if (!project || !project._id) {
+      return;
+    }
+    await this._projectChangeHandler({
+      id: project._id,
+      doc: project
+    });
+  }
+  /**
+   * Handler for the `project-object-deleted` event.
+   * If the event is not cancelable and the project is current project
+   * then it clears the `data` list.
+   *
+   * @param {CustomEvent} e
+   */
+  _projectObjectDeleted(e) {
+    if (e.cancelable) {
+      // not yet deleted
+      return;
+    }
+    const { id } = e.detail;
+    if (!id) {
+      return;
+    }
+    this._projectChangeHandler({
+      id,
+      deleted: true
+    });
+  }
+  /**
+   * Handler for a change in the legacy projects store.
+   * Computes a difference between previous and current `requests` list
+   * and updates the `data` list accordingly. When only the order of the list
+   * changed the new order is applied to the `data` list without reading
+   * the requests.
+   * When the project is deleted it clears the `data` list and dispatches
+   * the `project-deleted` event.
+   *
+   * @param {Object} change Storage adapter change object
+   * @return {Promise}
+   */
+  async _projectChangeHandler(change) {
+    const { projectId } = this;
+    this._deleteCache(change.id);
+    if (change.id !== projectId) {
+      return;
+    }
+    if (change.deleted) {
+      if (this._queryController) {
+        this._queryController.abort();
+        this._queryController = undefined;
+      }
+      this._projectKeys = [];
+      this._pageState = undefined;
+      this._data = [];
+      this.dispatchEvent(new DetailEvent('project-deleted', {
+        detail: {
+          projectId
+        }
+      }));
+      return;
+    }
+    const oldKeys = this._projectKeys || [];
+    const keys = change.doc.requests || [];
+    this._projectKeys = keys;
+    const missing = this._missingKeys;
+    if (missing && missing.some((id) => keys.indexOf(id) === -1)) {
+      this._missingKeys = missing.filter((id) => keys.indexOf(id) !== -1);
+      this._updateStats();
+      this._setQueryError(projectId, this._partialReadError(projectId, this._missingKeys));
+    }
+    const removed = oldKeys.filter((id) => keys.indexOf(id) === -1);
+    const added = keys.filter((id) => oldKeys.indexOf(id) === -1);
+    if (removed.length) {
+      this._checkDeleted(removed);
+    }
+    if (!added.length) {
+      if (!removed.length && keys.some((id, index) => oldKeys[index] !== id)) {
+        this._applyOrder(keys);
+        this._updateCache();
+      }
+      return;
+    }
+    try {
+      const requests = await this._getProjectRequest(added);
+      if (this.projectId !== projectId || !requests.length) {
+        return;
+      }
+      this._upsertRequests(requests);
+    } catch (cause) {
+      this._liveErrorHandler(cause);
+    }
+  }
+  /**
+   * Reads history requests when the `linkHistory` property is set and
+   * updates items of the `data` list with the `lastRun` and `runCount`
+   * properties. It does nothing when the adapter does not implement
+   * the `listHistory()` function.
+   *
+   * @return {Promise}
+   */
+  async _loadHistory() {
+    const { adapter } = this;
+    if (typeof adapter.listHistory !== 'function') {
+      return;
+    }
+    let entries;
+    try {
+      entries = await adapter.listHistory();
+    } catch (cause) {
+      this.dispatchEvent(new DetailEvent('send-analytics', {
+        bubbles: true,
+        composed: true,
+        detail: {
+          type: 'exception',
+          description: `Unable to read history: ${cause.message}`,
+          fatal: false
+        }
+      }));
+      return;
+    }
+    if (!this.linkHistory || this.adapter !== adapter) {
+      return;
+    }
+    const index = new Map();
+    entries.forEach((entry) => this._indexHistory(index, entry));
+    this._historyIndex = index;
+    if (this._data) {
+      this._data = [...this._data];
+    }
+  }
+  /**
+   * Creates a key of the history index from HTTP method and URL.
+   *
+   * @param {?String} method HTTP method
+   * @param {?String} url Request URL
+   * @return {String|undefined} The key or undefined when there is no URL.
+   */
+  _historyKey(method, url) {
+    if (!url) {
+      return undefined;
+    }
+    return `${String(method || 'GET').toUpperCase()} ${url}`;
+  }
+  /**
+   * Adds a history request to the history index.
+   *
+   * @param {Map} index History index. Keys are created by `_historyKey()`
+   * and values are objects with `lastRun`, `runCount` and `ids` properties.
+   * @param {Object} entry History request object
+   * @return {Boolean} True when the index changed.
+   */
+  _indexHistory(index, entry) {
+    const key = this._historyKey(entry.method, entry.url);
+    if (!key) {
+      return false;
+    }
+    let stats = index.get(key);
+    if (!stats) {
+      stats = {
+        lastRun: undefined,
+        runCount: 0,
+        ids: new Set()
+      };
+      index.set(key, stats);
+    }
+    let changed = false;
+    if (!stats.ids.has(entry._id)) {
+      stats.ids.add(entry._id);
+      stats.runCount++;
+      changed = true;
+    }
+    const time = entry.updated || entry.created;
+    if (time && (!stats.lastRun || time > stats.lastRun)) {
+      stats.lastRun = time;
+      changed = true;
+    }
+    return changed;
+  }
+  /**
+   * Adds history values to items of a list when history requests were read.
+   *
+   * @param {?Array<Object>} items List of requests
+   * @return {?Array<Object>} The list with items that have the `lastRun`
+   * and `runCount` properties.
+   */
+  _attachHistory(items) {
+    if (!items || !this._historyIndex) {
+      return items;
+    }
+    return items.map((item) => this._withHistory(item));
+  }
+  /**
+   * @param {Object} item An item of the `data` list
+   * @return {Object} The item, or a copy of the item when its history values
+   * changed, with `lastRun` (time of the most recent history entry) and
+   * `runCount` (number of history entries) properties.
+   */
+  _withHistory(item) {
+    const key = this._historyKey(this._sortValue(item, 'method'), this._sortValue(item, 'url'));
+    const stats = key ? this._historyIndex.get(key) : undefined;
+    const lastRun = stats ? stats.lastRun : undefined;
+    const runCount = stats ? stats.runCount : 0;
+    if ('runCount' in item && item.lastRun === lastRun && item.runCount === runCount) {
+      return item;
+    }
+    return Object.assign({}, item, {
+      lastRun,
+      runCount
+    });
+  }
+  /**
+   * @param {Object} item An item of the `data` list
+   * @return {Object} A copy of the item without history values.
+   */
+  _withoutHistory(item) {
+    if (!('runCount' in item)) {
+      return item;
+    }
+    const result = Object.assign({}, item);
+    delete result.lastRun;
+    delete result.runCount;
+    return result;
+  }
+  /**
+   * Updates history values of items of the `data` list after a history
+   * request changed.
+   *
+   * @param {?Object} request Changed history request
+   */
+  _historyChanged(request) {
+    const index = this._historyIndex;
+    if (!index || !request || !this._indexHistory(index, request)) {
+      return;
+    }
+    if (this._data) {
+      this._data = [...this._data];
+    }
+  }
+  /**
+   * Reports a changes feed error to the analytics.
+   *
+   * @param {Error} cause
+   */
+  _liveErrorHandler(cause) {
+    this.dispatchEvent(new DetailEvent('send-analytics', {
+      bubbles: true,
+      composed: true,
+      detail: {
+        type: 'exception',
+        description: cause.message || JSON.stringify(cause),
+        fatal: false
+      }
+    }));
+  }
+
+  /**
+   * Fired when requests of a project has been read after the `projectId`
+   * property change or after a query requested with the
+   * `project-related-requests-query` event.
+   *
+   * @event project-related-requests-read
+   * @param {String} projectId The queried project ID
+   * @param {Array} items List of requests related to the project.
+   */
+  /**
+   * Fired when a legacy project has been migrated by the `autoMigrate` option.
+   *
+   * @event legacy-project-migrated
+   * @param {String} projectId Migrated project ID
+   * @param {Boolean} project Whether the project document changed
+   * @param {Array<String>} requests List of changed requests IDs
+   * @param {Array<String>} failed List of requests IDs that were not updated
+   */
+  /**
+   * Fired when a query for current project failed or some of the project
+   * requests do not exist.
+   *
+   * @event error
+   * @param {String} projectId The queried project ID
+   * @param {String} code Error code, one of `ErrorCodes`
+   * @param {ProjectQueryError} error The error object
+   */
+  /**
+   * Fired when a request has been added to, removed from or moved on
+   * the `data` list after a change of the request object.
+   *
+   * @event items-changed
+   * @param {String} projectId Current project ID
+   * @param {Array<Object>} added List of added requests as `id` and `index`
+   * on the new list
+   * @param {Array<Object>} removed List of removed requests as `id` and
+   * `index` on the previous list
+   * @param {Array<Object>} moved List of moved requests as `id`, `from`
+   * and `to` positions
+   */
+  /**
+   * Fired when the `stats` object changed.
+   *
+   * @event stats
+   * @param {String} projectId Current project ID
+   * @param {Object|undefined} stats Project statistics
+   */
+  /**
+   * Fired when the `groups` list changed.
+   *
+   * @event groups-changed
+   * @param {String} projectId Current project ID
+   * @param {Array<Object>|undefined} groups List of groups
+   */
+  /**
+   * Fired when current project has been deleted. The `data` list is
+   * cleared.
+   *
+   * @event project-deleted
+   * @param {String} projectId The deleted project ID
+   */
+};
+/**
+ * A headless model that computes a list of requests related to a project.
+ * It has the same API as the `legacyproject-related-requests` element and
+ * can be used outside the DOM, for example in the Electron main process,
+ * a Node script or a Web Worker.
+ *
+ * ### Example
+ *
+ * ```javascript
+ * import PouchDB from 'pouchdb';
+ * import { ProjectRequestsModel } from '@advanced-rest-client/legacyproject-related-requests/project-requests-model.js';
+ *
+ * const model = new ProjectRequestsModel({ PouchDB, projectId: 'project-id' });
+ * model.addEventListener('data', (e) => console.log(e.detail.items));
+ * ```
+ *
+ * The model does not listen for events of other components and does not
+ * open live feeds until `connect()` is called.
+ */
+export class ProjectRequestsModel extends ProjectRequestsMixin(EventTarget) {
+  /**
+   * @param {Object=} opts Initial values of the model properties.
+   * @param {Object=} opts.adapter A storage adapter used to read projects
+   * and requests.
+   * @param {Function=} opts.PouchDB The PouchDB constructor used by the
+   * default `PouchDbStorageAdapter` when `adapter` is not set.
+   * @param {String=} opts.projectId The project to query. It is set after
+   * other options so the first query uses all of them.
+   */
+  constructor(opts = {}) {
+    super();
+    const { adapter, PouchDB, projectId, ...props } = opts;
+    if (adapter) {
+      this.adapter = adapter;
+    } else if (PouchDB) {
+      this.adapter = new PouchDbStorageAdapter({ PouchDB });
+    }
+    Object.keys(props).forEach((key) => {
+      this[key] = props[key];
+    });
+    if (projectId) {
+      this.projectId = projectId;
+    }
+  }
+  /**
+   * @return {Boolean} True after `connect()` and before `disconnect()`.
+   */
+  get isConnected() {
+    return !!this._connected;
+  }
+  /**
+   * Starts handling request and project events dispatched on the target
+   * and opens live feeds when `live` is set.
+   *
+   * @param {EventTarget=} target An object on which other components
+   * dispatch the request and project events. The model does not handle
+   * the events when not set.
+   */
+  connect(target) {
+    this.disconnect();
+    this._connected = true;
+    this._eventsTarget = target;
+    if (target) {
+      this._addEventListeners(target);
+    }
+    this._updateLiveFeeds();
+  }
+  /**
+   * Removes event listeners added in `connect()` and cancels live feeds.
+   */
+  disconnect() {
+    const target = this._eventsTarget;
+    this._eventsTarget = undefined;
+    this._connected = false;
+    if (target) {
+      this._removeEventListeners(target);
+    }
+    this._cancelLiveFeeds();
+  }
+}
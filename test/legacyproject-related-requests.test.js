@@ -1,10 +1,15 @@
 import {
   fixture,
   assert,
-  html
+  html,
+  aTimeout
 } from '@open-wc/testing';
 import * as sinon from 'sinon/pkg/sinon-esm.js';
 import '../legacyproject-related-requests.js';
+import { MemoryStorageAdapter } from '../memory-storage-adapter.js';
+import { PouchDbStorageAdapter } from '../pouchdb-storage-adapter.js';
+import { sharedCache } from '../project-requests-cache.js';
+import { ErrorCodes } from '../project-query-error.js';
 import { DataGenerator } from '@advanced-rest-client/arc-data-generator/arc-data-generator.js';
 
 describe('<legacyproject-related-requests>', function() {
@@ -128,6 +133,18 @@ describe('<legacyproject-related-requests>', function() {
       assert.typeOf(item.type, 'string', 'has type');
     });
 
+    it('reads requests with fields projection', async () => {
+      element.fields = ['method', 'url', 'host', 'payload.length'];
+      const result = await element.query(projectId);
+      const item = result[0];
+      const source = inserts.requests.find((i) => i._id === item._id);
+      assert.equal(item.method, source.method, 'has method');
+      assert.equal(item.url, source.url, 'has url');
+      assert.typeOf(item.host, 'string', 'has host');
+      assert.isUndefined(item.name, 'has no name');
+      assert.isUndefined(item.headers, 'has no headers');
+    });
+
     it('ignores non existing items', async () => {
       const project = inserts.projects[0];
       project.requests.push('non-existing');
@@ -258,185 +275,2916 @@ describe('<legacyproject-related-requests>', function() {
     });
   });
 
-  describe('request-object-changed', () => {
+  describe('legacy IDs fallback', () => {
     let element;
-    let projectId;
-    let requests;
+    let adapter;
     beforeEach(async () => {
       element = await basicFixture();
-      const data = DataGenerator.generateSavedRequestData({
-        projectsSize: 1,
-        requestsSize: 5,
-        forceProject: true
+      adapter = new MemoryStorageAdapter({
+        projects: [
+          { _id: 'p1', name: 'Project 1' },
+          { _id: 'p2', name: 'Project 2' }
+        ],
+        requests: [
+          { _id: 'p1/b', name: 'B', projectOrder: 2 },
+          { _id: 'p1/a', name: 'A', projectOrder: 0 },
+          { _id: 'p1/c', name: 'C', projectOrder: 1 },
+          { _id: 'c/p2', name: 'D', projectOrder: 1 },
+          { _id: 'b%2F/http%3A%2F%2Fx/GET/p1', name: 'G', projectOrder: 3 },
+          { _id: 'a/p2', name: 'E', projectOrder: 0 },
+          { _id: 'other', name: 'F' }
+        ]
       });
-      requests = element._prepareData(data.requests);
-      element._data = requests;
-      projectId = data.projects[0]._id;
       element._autoQuery = () => {};
-      element.projectId = projectId;
+      element.adapter = adapter;
     });
 
-    function fire(request, cancelable) {
-      if (typeof cancelable !== 'boolean') {
-        cancelable = false;
+    it('returns requests sorted by projectOrder', async () => {
+      const result = await element.query('p1');
+      assert.deepEqual(result.map((item) => item.name), ['A', 'C', 'B', 'G']);
+    });
+
+    it('lists ids once', async () => {
+      const spy = sinon.spy(adapter, 'listRequestIds');
+      await element.query('p1');
+      assert.isTrue(spy.calledOnce);
+    });
+
+    it('finds requests with the project ID at other position', async () => {
+      const result = await element.query('p2');
+      assert.deepEqual(result.map((item) => item.name), ['E', 'D']);
+    });
+
+    it('finds requests with mixed ID layouts', async () => {
+      const result = await element.query('p1');
+      assert.include(result.map((item) => item._id), 'b%2F/http%3A%2F%2Fx/GET/p1');
+    });
+
+    it('reads requests in batches', async () => {
+      const docs = [];
+      for (let i = 0; i < 600; i++) {
+        docs.push({ _id: `p1/r${i}`, name: `Request ${i}` });
       }
-      const e = new CustomEvent('request-object-changed', {
-        bubbles: true,
-        cancelable,
-        detail: {
-          request
-        }
+      await adapter.putRequests(docs);
+      const spy = sinon.spy(adapter, 'getRequests');
+      const result = await element.query('p1');
+      assert.lengthOf(result, 604);
+      assert.equal(spy.callCount, 3);
+      assert.isTrue(spy.args.every(([keys]) => keys.length <= 250));
+    });
+
+    it('rejects aborted query between batches', async () => {
+      const docs = [];
+      for (let i = 0; i < 300; i++) {
+        docs.push({ _id: `p1/r${i}` });
+      }
+      await adapter.putRequests(docs);
+      const controller = new AbortController();
+      const getRequests = adapter.getRequests.bind(adapter);
+      const spy = sinon.spy((keys) => {
+        controller.abort();
+        return getRequests(keys);
       });
-      document.body.dispatchEvent(e);
-    }
+      adapter.getRequests = spy;
+      let error;
+      try {
+        await element.query('p1', { signal: controller.signal });
+      } catch (cause) {
+        error = cause;
+      }
+      assert.equal(error.name, 'AbortError');
+      assert.isTrue(spy.calledOnce);
+    });
 
-    it('adds a new item when _data is not set', () => {
-      const item = requests[0];
-      element._data = undefined;
-      fire(item);
-      assert.deepEqual(element._data, [item]);
+    it('migrates the project with all legacy requests', async () => {
+      const report = await element.migrateLegacyProject('p1');
+      assert.deepEqual(report.requests, ['p1/a', 'p1/c', 'p1/b', 'b%2F/http%3A%2F%2Fx/GET/p1']);
     });
+  });
 
-    it('updates an item on the list', () => {
-      const item = Object.assign({}, element._data[3]);
-      item.name = 'other';
-      const id = item._id;
-      fire(item);
-      const updated = element._data.find((i) => i._id === id);
-      assert.equal(updated.name, 'other');
+  describe('legacy IDs system with a large data store', function() {
+    this.timeout(60000);
+    const size = 5000;
+    const projectId = 'legacy-project';
+    let expected;
+    before(async () => {
+      const requests = [];
+      for (let i = 0; i < size; i++) {
+        let id = `other-${i}/${i}`;
+        if (i % 5 === 0) {
+          id = `${projectId}/${i}`;
+        } else if (i % 5 === 1) {
+          id = `request-${i}/http%3A%2F%2Fdomain.com/GET/${projectId}`;
+        }
+        requests.push({
+          _id: id,
+          name: `Request ${i}`,
+          projectOrder: (i * 7919) % size
+        });
+      }
+      expected = requests
+        .filter((item) => item._id.indexOf(projectId) !== -1)
+        .sort((a, b) => a.projectOrder - b.projectOrder)
+        .map((item) => item.name);
+      const projectsDb = new PouchDB('legacy-projects');
+      await projectsDb.put({ _id: projectId, name: 'Legacy project' });
+      const savedDb = new PouchDB('saved-requests');
+      await savedDb.bulkDocs(requests);
     });
 
-    it('adds new item to the list', () => {
-      const item = DataGenerator.generateSavedItem({
-        project: projectId
-      });
-      fire(item);
-      assert.lengthOf(element.data, 6);
+    after(async () => {
+      await DataGenerator.destroySavedRequestData();
     });
 
-    it('ignores item from different proejct', () => {
-      const item = DataGenerator.generateSavedItem({
-        project: 'other'
-      });
-      fire(item);
-      assert.lengthOf(element.data, 5);
+    let element;
+    beforeEach(async () => {
+      element = await basicFixture();
     });
 
-    it('accepts legacyProject proeprty', () => {
-      const item = DataGenerator.generateSavedItem();
-      item.legacyProject = projectId;
-      fire(item);
-      assert.lengthOf(element.data, 6);
+    it('reads project requests with a single IDs scan', async () => {
+      const spy = sinon.spy(element.adapter.savedDb, 'allDocs');
+      const start = performance.now();
+      const result = await element.query(projectId);
+      const time = performance.now() - start;
+      assert.lengthOf(result, expected.length);
+      const scans = spy.args.filter(([opts]) => !opts || !opts.keys);
+      assert.lengthOf(scans, 1, 'has a single IDs scan');
+      assert.isFalse(!!(scans[0][0] && scans[0][0].include_docs), 'scans IDs only');
+      assert.equal(spy.callCount, 1 + Math.ceil(expected.length / 250), 'reads in batches');
+      assert.isBelow(time, 10000, 'reads the data in time');
     });
 
-    it('ignores cancelable event', () => {
-      const item = DataGenerator.generateSavedItem();
-      item.legacyProject = projectId;
-      fire(item, true);
-      assert.lengthOf(element.data, 5);
+    it('returns requests sorted by projectOrder', async () => {
+      const result = await element.query(projectId);
+      assert.deepEqual(result.map((item) => item.name), expected);
     });
   });
 
-  describe('request-object-deleted', () => {
+  describe('stale queries', () => {
     let element;
-    let projectId;
-    let requests;
+    let adapter;
+    let release;
     beforeEach(async () => {
       element = await basicFixture();
-      const data = DataGenerator.generateSavedRequestData({
-        projectsSize: 1,
-        requestsSize: 5,
-        forceProject: true
+      adapter = new MemoryStorageAdapter({
+        projects: [
+          { _id: 'p1', requests: ['r1'] },
+          { _id: 'p2', requests: ['r2'] }
+        ],
+        requests: [
+          { _id: 'r1', name: 'r1' },
+          { _id: 'r2', name: 'r2' }
+        ]
       });
-      requests = element._prepareData(data.requests);
-      element._data = requests;
-      projectId = data.projects[0]._id;
-      element._autoQuery = () => {};
-      element.projectId = projectId;
+      const getProject = adapter.getProject.bind(adapter);
+      const gate = new Promise((resolve) => {
+        release = resolve;
+      });
+      adapter.getProject = async (id) => {
+        if (id === 'p1') {
+          await gate;
+        }
+        return getProject(id);
+      };
+      element.adapter = adapter;
     });
 
-    function fire(id, cancelable) {
-      if (typeof cancelable !== 'boolean') {
-        cancelable = false;
-      }
-      const e = new CustomEvent('request-object-deleted', {
-        bubbles: true,
-        cancelable,
-        detail: {
-          id
-        }
+    function untilData(node) {
+      return new Promise((resolve) => {
+        node.addEventListener('data', function f(e) {
+          node.removeEventListener('data', f);
+          resolve(e.detail);
+        });
       });
-      document.body.dispatchEvent(e);
     }
 
-    it('removes item from _data', () => {
-      const item = requests[0];
-      fire(item._id);
-      assert.lengthOf(element._data, 4);
+    it('ignores result of a query for previous project', async () => {
+      const spy = sinon.spy();
+      element.addEventListener('data', spy);
+      element.projectId = 'p1';
+      const result = untilData(element);
+      element.projectId = 'p2';
+      await result;
+      release();
+      await new Promise((resolve) => setTimeout(resolve));
+      assert.equal(spy.callCount, 1, 'data event dispatched once');
+      assert.deepEqual(element.data.map((item) => item._id), ['r2']);
     });
 
-    it('ignores cancelable event', () => {
-      const item = requests[0];
-      fire(item._id, true);
-      assert.lengthOf(element.data, 5);
+    it('rejects aborted query', async () => {
+      const controller = new AbortController();
+      const promise = element.query('p1', { signal: controller.signal });
+      controller.abort();
+      release();
+      let error;
+      try {
+        await promise;
+      } catch (cause) {
+        error = cause;
+      }
+      assert.ok(error, 'query is rejected');
+      assert.equal(error.name, 'AbortError');
     });
 
-    it('ignores events without id', () => {
-      fire();
-      assert.lengthOf(element.data, 5);
+    it('rejects query with already aborted signal', async () => {
+      const controller = new AbortController();
+      controller.abort();
+      let error;
+      try {
+        await element.query('p2', { signal: controller.signal });
+      } catch (cause) {
+        error = cause;
+      }
+      assert.equal(error.name, 'AbortError');
+      assert.isUndefined(element.querying);
+    });
+
+    it('keeps querying flag while any query is running', async () => {
+      const slow = element.query('p1');
+      await element.query('p2');
+      assert.isTrue(element.querying, 'querying while p1 is read');
+      release();
+      await slow;
+      assert.isFalse(element.querying);
     });
   });
 
-  describe('request-objects-deleted', () => {
+  describe('query errors', () => {
     let element;
-    let projectId;
-    let requests;
+    let adapter;
     beforeEach(async () => {
       element = await basicFixture();
-      const data = DataGenerator.generateSavedRequestData({
-        projectsSize: 1,
-        requestsSize: 5,
-        forceProject: true
+      adapter = new MemoryStorageAdapter({
+        projects: [{ _id: 'p1', requests: ['r1', 'r2', 'r3'] }],
+        requests: [
+          { _id: 'r1', name: 'r1' },
+          { _id: 'r3', name: 'r3' }
+        ]
       });
-      requests = element._prepareData(data.requests);
-      element._data = requests;
-      projectId = data.projects[0]._id;
-      element._autoQuery = () => {};
-      element.projectId = projectId;
+      element.adapter = adapter;
     });
 
-    function fire(items, cancelable) {
-      if (typeof cancelable !== 'boolean') {
-        cancelable = false;
+    it('sets project-not-found error', async () => {
+      element.projectId = 'other';
+      const result = await element.query('other');
+      assert.deepEqual(result, []);
+      assert.equal(element.error.code, ErrorCodes.PROJECT_NOT_FOUND);
+      assert.equal(element.error.projectId, 'other');
+    });
+
+    it('dispatches the error event', async () => {
+      element.projectId = 'other';
+      const spy = sinon.spy();
+      element.addEventListener('error', spy);
+      await element.query('other');
+      assert.isTrue(spy.called);
+      const { detail } = spy.lastCall.args[0];
+      assert.equal(detail.code, ErrorCodes.PROJECT_NOT_FOUND);
+      assert.equal(detail.projectId, 'other');
+      assert.equal(detail.error, element.error);
+    });
+
+    it('does not set error for other project', async () => {
+      element.projectId = 'p1';
+      await element.query('other');
+      assert.isUndefined(element.error);
+    });
+
+    it('rejects with reject option', async () => {
+      let error;
+      try {
+        await element.query('other', { reject: true });
+      } catch (cause) {
+        error = cause;
       }
-      const e = new CustomEvent('request-objects-deleted', {
+      assert.ok(error, 'query is rejected');
+      assert.equal(error.name, 'ProjectQueryError');
+      assert.equal(error.code, ErrorCodes.PROJECT_NOT_FOUND);
+    });
+
+    it('sets database-unavailable error', async () => {
+      adapter.getProject = () => Promise.reject(new Error('Database is closed'));
+      element.projectId = 'p1';
+      const spy = sinon.spy();
+      element.addEventListener('send-analytics', spy);
+      await element.query('p1');
+      assert.equal(element.error.code, ErrorCodes.DATABASE_UNAVAILABLE);
+      assert.equal(element.error.message, 'Database is closed');
+      assert.isTrue(spy.called, 'reports exception');
+    });
+
+    it('sets partial-read error with missing ids', async () => {
+      element.projectId = 'p1';
+      const result = await element.query('p1');
+      assert.lengthOf(result, 2, 'returns existing requests');
+      assert.equal(element.error.code, ErrorCodes.PARTIAL_READ);
+      assert.deepEqual(element.error.missing, ['r2']);
+    });
+
+    it('resolves partial read with reject option', async () => {
+      const result = await element.query('p1', { reject: true });
+      assert.lengthOf(result, 2);
+    });
+
+    it('sets aborted error for aborted query', async () => {
+      element.projectId = 'p1';
+      const controller = new AbortController();
+      const promise = element.query('p1', { signal: controller.signal });
+      controller.abort();
+      let error;
+      try {
+        await promise;
+      } catch (cause) {
+        error = cause;
+      }
+      assert.equal(error.code, ErrorCodes.ABORTED);
+      assert.equal(element.error, error);
+    });
+
+    it('clears the error after successful query', async () => {
+      element.projectId = 'p1';
+      await element.query('p1');
+      await adapter.putProject(Object.assign(await adapter.getProject('p1'), { requests: ['r1'] }));
+      await element.query('p1');
+      assert.isUndefined(element.error);
+    });
+  });
+
+  describe('shared cache', () => {
+    let adapter;
+    beforeEach(() => {
+      sharedCache.clear();
+      adapter = new MemoryStorageAdapter({
+        projects: [{ _id: 'p1', requests: ['r1', 'r2'] }],
+        requests: [
+          { _id: 'r1', name: 'b', projectOrder: 1 },
+          { _id: 'r2', name: 'a', projectOrder: 0 }
+        ]
+      });
+      adapter.cacheScope = 'test';
+    });
+
+    after(() => {
+      sharedCache.clear();
+    });
+
+    function untilData(node) {
+      return new Promise((resolve) => {
+        node.addEventListener('data', function f(e) {
+          node.removeEventListener('data', f);
+          resolve(e.detail);
+        });
+      });
+    }
+
+    async function loadedFixture() {
+      const element = await basicFixture();
+      element.adapter = adapter;
+      const result = untilData(element);
+      element.projectId = 'p1';
+      await result;
+      return element;
+    }
+
+    it('does not read the data store for a cached project', async () => {
+      await loadedFixture();
+      const spy = sinon.spy(adapter, 'getRequests');
+      const element = await loadedFixture();
+      assert.isFalse(spy.called);
+      assert.deepEqual(element.data.map((item) => item.name), ['a', 'b']);
+    });
+
+    it('does not use the cache without adapter scope', async () => {
+      adapter.cacheScope = undefined;
+      await loadedFixture();
+      const spy = sinon.spy(adapter, 'getRequests');
+      await loadedFixture();
+      assert.isTrue(spy.called);
+    });
+
+    it('reads the data store for a different projection', async () => {
+      await loadedFixture();
+      const spy = sinon.spy(adapter, 'getRequests');
+      const element = await basicFixture();
+      element.adapter = adapter;
+      element.fields = ['url'];
+      const result = untilData(element);
+      element.projectId = 'p1';
+      await result;
+      assert.isTrue(spy.called);
+    });
+
+    it('query() reads the data store', async () => {
+      const element = await loadedFixture();
+      const spy = sinon.spy(adapter, 'getRequests');
+      await element.query('p1');
+      assert.isTrue(spy.called);
+    });
+
+    it('refresh() reads the data store', async () => {
+      const element = await loadedFixture();
+      const [doc] = await adapter.getRequests(['r1']);
+      doc.name = 'c';
+      await adapter.putRequests([doc]);
+      await element.refresh();
+      assert.deepEqual(element.data.map((item) => item.name), ['a', 'c']);
+    });
+
+    it('updates cached list from request-object-changed event', async () => {
+      await loadedFixture();
+      document.body.dispatchEvent(new CustomEvent('request-object-changed', {
         bubbles: true,
-        cancelable,
         detail: {
-          items
+          request: { _id: 'r3', name: 'c', projects: ['p1'], projectOrder: 2 }
         }
+      }));
+      const element = await loadedFixture();
+      assert.deepEqual(element.data.map((item) => item.name), ['a', 'b', 'c']);
+    });
+
+    it('updates cached list from request-object-deleted event', async () => {
+      await loadedFixture();
+      document.body.dispatchEvent(new CustomEvent('request-object-deleted', {
+        bubbles: true,
+        detail: {
+          id: 'r1'
+        }
+      }));
+      const element = await loadedFixture();
+      assert.deepEqual(element.data.map((item) => item.name), ['a']);
+    });
+
+    it('invalidates cached lists of other projects', async () => {
+      sharedCache.set('test', 'p1', 'name', {
+        projectKeys: ['r1', 'r2'],
+        items: [{ _id: 'r2', name: 'a' }, { _id: 'r1', name: 'b' }]
+      });
+      const element = await basicFixture();
+      element.adapter = adapter;
+      document.body.dispatchEvent(new CustomEvent('request-object-changed', {
+        bubbles: true,
+        detail: {
+          request: { _id: 'r1', name: 'b', projects: ['p1'], projectOrder: 1 }
+        }
+      }));
+      assert.isUndefined(sharedCache.get('test', 'p1', 'name'));
+    });
+
+    it('invalidates cached lists from a paged element', async () => {
+      const loaded = await loadedFixture();
+      loaded.parentNode.removeChild(loaded);
+      const element = await basicFixture();
+      element.pageSize = 1;
+      element.adapter = adapter;
+      element.projectId = 'p1';
+      await untilData(element);
+      const [doc] = await adapter.getRequests(['r1']);
+      doc.name = 'c';
+      await adapter.putRequests([doc]);
+      document.body.dispatchEvent(new CustomEvent('request-object-changed', {
+        bubbles: true,
+        detail: {
+          request: doc
+        }
+      }));
+      assert.isUndefined(sharedCache.get('test', 'p1', 'name'));
+    });
+
+    it('does not cache lists read in pages', async () => {
+      const element = await basicFixture();
+      element.pageSize = 1;
+      element.adapter = adapter;
+      element.projectId = 'p1';
+      await untilData(element);
+      assert.isUndefined(sharedCache.get('test', 'p1', 'name'));
+    });
+  });
+
+  describe('pagination', () => {
+    let inserts;
+    let projectId;
+    before(async () => {
+      inserts = await DataGenerator.insertSavedRequestData({
+        projectsSize: 1,
+        requestsSize: 7,
+        forceProject: true
+      });
+      projectId = inserts.projects[0]._id;
+    });
+
+    after(async () => {
+      await DataGenerator.destroySavedRequestData();
+    });
+
+    let element;
+    beforeEach(async () => {
+      element = await basicFixture();
+      element.pageSize = 3;
+    });
+
+    function untilData(node) {
+      return new Promise((resolve) => {
+        node.addEventListener('data', function f(e) {
+          node.removeEventListener('data', f);
+          resolve(e.detail);
+        });
       });
-      document.body.dispatchEvent(e);
     }
 
-    it('removes items from _data', () => {
-      const item = requests[0];
-      fire([item._id]);
-      assert.lengthOf(element._data, 4);
+    it('query() returns the first page', async () => {
+      const result = await element.query(projectId);
+      assert.lengthOf(result, 3);
     });
 
-    it('ignores cancelable event', () => {
-      const item = requests[0];
-      fire([item._id], true);
-      assert.lengthOf(element.data, 5);
+    it('dispatches data event with the first page', async () => {
+      element.projectId = projectId;
+      const detail = await untilData(element);
+      assert.lengthOf(detail.items, 3, 'has items');
+      assert.lengthOf(detail.page, 3, 'has page');
+      assert.isTrue(detail.hasMore, 'has hasMore');
+      assert.equal(detail.totalCount, 7, 'has totalCount');
     });
 
-    it('ignores events without ids', () => {
-      fire();
+    it('sets hasMore and totalCount', async () => {
+      element.projectId = projectId;
+      await untilData(element);
+      assert.isTrue(element.hasMore);
+      assert.equal(element.totalCount, 7);
+    });
+
+    it('loadNext() appends next page', async () => {
+      element.projectId = projectId;
+      await untilData(element);
+      const page = await element.loadNext();
+      assert.lengthOf(page, 3, 'returns the page');
+      assert.lengthOf(element.data, 6, 'data has both pages');
+    });
+
+    it('reads all pages', async () => {
+      element.projectId = projectId;
+      await untilData(element);
+      await element.loadNext();
+      const page = await element.loadNext();
+      assert.lengthOf(page, 1, 'returns the last page');
+      assert.lengthOf(element.data, 7, 'data has all items');
+      assert.isFalse(element.hasMore, 'hasMore is false');
+    });
+
+    it('loadNext() does nothing when no more pages', async () => {
+      element.pageSize = 10;
+      element.projectId = projectId;
+      await untilData(element);
+      const page = await element.loadNext();
+      assert.deepEqual(page, []);
+    });
+
+    it('keeps the order of the project requests list', async () => {
+      const created = inserts.requests;
+      created.forEach((item, index) => {
+        item.projectOrder = created.length - index;
+      });
+      const db = element.savedDb;
+      const response = await db.bulkDocs(created);
+      response.forEach((item, index) => {
+        created[index]._rev = item.rev;
+      });
+      element.projectId = projectId;
+      await untilData(element);
+      await element.loadNext();
+      await element.loadNext();
+      const names = element.data.map((item) => item.name);
+      const [project] = inserts.projects;
+      const expected = project.requests.map((id) => created.find((item) => item._id === id).name);
+      assert.deepEqual(names, expected);
+    });
+
+    describe('order of pages', () => {
+      function untilLoaded(requests) {
+        element.adapter = new MemoryStorageAdapter({
+          projects: [{ _id: 'p1', requests: requests.map((item) => item._id) }],
+          requests
+        });
+        element.pageSize = 2;
+        element.projectId = 'p1';
+        return untilData(element);
+      }
+
+      it('appends pages at the end of the list', async () => {
+        await untilLoaded([
+          { _id: 'r1', name: 'A', projectOrder: 3 },
+          { _id: 'r2', name: 'B', projectOrder: 2 },
+          { _id: 'r3', name: 'C', projectOrder: 1 },
+          { _id: 'r4', name: 'D', projectOrder: 0 }
+        ]);
+        assert.deepEqual(element.data.map((item) => item.name), ['A', 'B'], 'first page');
+        await element.loadNext();
+        assert.deepEqual(element.data.map((item) => item.name), ['A', 'B', 'C', 'D'], 'all pages');
+      });
+
+      it('appends pages of a legacy project in IDs order', async () => {
+        element.adapter = new MemoryStorageAdapter({
+          projects: [{ _id: 'p1' }],
+          requests: [
+            { _id: 'p1/a', name: 'A', projectOrder: 3 },
+            { _id: 'p1/b', name: 'B', projectOrder: 2 },
+            { _id: 'p1/c', name: 'C', projectOrder: 1 }
+          ]
+        });
+        element.pageSize = 2;
+        element.projectId = 'p1';
+        await untilData(element);
+        await element.loadNext();
+        assert.deepEqual(element.data.map((item) => item.name), ['A', 'B', 'C']);
+      });
+
+      it('applies the order set with setOrder()', async () => {
+        await untilLoaded([
+          { _id: 'r1', name: 'A', projectOrder: 0 },
+          { _id: 'r2', name: 'B', projectOrder: 1 },
+          { _id: 'r3', name: 'C', projectOrder: 2 }
+        ]);
+        await element.setOrder(['r2', 'r1']);
+        assert.deepEqual(element.data.map((item) => item.name), ['B', 'A']);
+      });
+
+      it('sorts loaded requests by other fields', async () => {
+        element.sort = 'name';
+        element.sortDirection = 'desc';
+        await untilLoaded([
+          { _id: 'r1', name: 'A', projectOrder: 0 },
+          { _id: 'r2', name: 'B', projectOrder: 1 },
+          { _id: 'r3', name: 'C', projectOrder: 2 }
+        ]);
+        await element.loadNext();
+        assert.deepEqual(element.data.map((item) => item.name), ['C', 'B', 'A']);
+      });
+    });
+
+    describe('missing requests', () => {
+      beforeEach(async () => {
+        element.adapter = new MemoryStorageAdapter({
+          projects: [{ _id: 'p1', requests: ['r1', 'missing1', 'r2', 'r3', 'missing2'] }],
+          requests: [
+            { _id: 'r1', name: 'r1', projectOrder: 0 },
+            { _id: 'r2', name: 'r2', projectOrder: 1 },
+            { _id: 'r3', name: 'r3', projectOrder: 2 }
+          ]
+        });
+        element.projectId = 'p1';
+        await untilData(element);
+      });
+
+      it('reports missing requests of the first page', () => {
+        assert.equal(element.stats.dangling, 1, 'stats has dangling request');
+        assert.equal(element.error.code, ErrorCodes.PARTIAL_READ, 'has the error');
+        assert.deepEqual(element.error.missing, ['missing1'], 'error has missing IDs');
+      });
+
+      it('adds missing requests of next pages', async () => {
+        await element.loadNext();
+        assert.equal(element.stats.dangling, 2, 'stats has dangling requests');
+        assert.deepEqual(element.error.missing, ['missing1', 'missing2'], 'error has missing IDs');
+      });
+    });
+  });
+
+  describe('migrateLegacyProject()', () => {
+    let element;
+    let adapter;
+    beforeEach(async () => {
+      element = await basicFixture();
+      adapter = new MemoryStorageAdapter({
+        projects: [{ _id: 'p1' }],
+        requests: [
+          { _id: 'p1/r1', name: 'b', projectOrder: 2 },
+          { _id: 'p1/r2', name: 'a', projectOrder: 1 },
+          { _id: 'r3', name: 'other' }
+        ]
+      });
+      element.adapter = adapter;
+    });
+
+    it('throws when no argument', async () => {
+      let called = false;
+      try {
+        await element.migrateLegacyProject();
+      } catch (_) {
+        called = true;
+      }
+      assert.isTrue(called);
+    });
+
+    it('writes ordered requests list to the project', async () => {
+      await element.migrateLegacyProject('p1');
+      const project = await adapter.getProject('p1');
+      assert.deepEqual(project.requests, ['p1/r2', 'p1/r1']);
+    });
+
+    it('writes requests in project order regardless of the sort', async () => {
+      element.sort = 'name';
+      element.sortDirection = 'desc';
+      await element.migrateLegacyProject('p1');
+      const project = await adapter.getProject('p1');
+      assert.deepEqual(project.requests, ['p1/r2', 'p1/r1']);
+    });
+
+    it('adds project to requests projects', async () => {
+      await element.migrateLegacyProject('p1');
+      const docs = await adapter.getRequests(['p1/r1', 'p1/r2', 'r3']);
+      assert.deepEqual(docs[0].projects, ['p1']);
+      assert.deepEqual(docs[1].projects, ['p1']);
+      assert.isUndefined(docs[2].projects);
+    });
+
+    it('returns the report', async () => {
+      const report = await element.migrateLegacyProject('p1');
+      assert.deepEqual(report, {
+        projectId: 'p1',
+        project: true,
+        requests: ['p1/r2', 'p1/r1'],
+        failed: []
+      });
+    });
+
+    it('does not change documents when called again', async () => {
+      await element.migrateLegacyProject('p1');
+      const report = await element.migrateLegacyProject('p1');
+      assert.isFalse(report.project);
+      assert.deepEqual(report.requests, []);
+    });
+
+    it('migrates the project in query() when autoMigrate is set', async () => {
+      element.autoMigrate = true;
+      const spy = sinon.spy();
+      element.addEventListener('legacy-project-migrated', spy);
+      const result = await element.query('p1');
+      assert.lengthOf(result, 2, 'returns requests');
+      assert.isTrue(spy.calledOnce, 'dispatches the event');
+      const project = await adapter.getProject('p1');
+      assert.lengthOf(project.requests, 2, 'project is migrated');
+    });
+
+    it('does not migrate the project when autoMigrate is not set', async () => {
+      await element.query('p1');
+      const project = await adapter.getProject('p1');
+      assert.isUndefined(project.requests);
+    });
+  });
+
+  describe('setOrder()', () => {
+    let element;
+    let adapter;
+    beforeEach(async () => {
+      element = await basicFixture();
+      adapter = new MemoryStorageAdapter({
+        projects: [{ _id: 'p1', requests: ['r1', 'r2', 'r3'] }],
+        requests: [
+          { _id: 'r1', name: 'a', projectOrder: 0, projects: ['p1'] },
+          { _id: 'r2', name: 'b', projectOrder: 1, projects: ['p1'] },
+          { _id: 'r3', name: 'c', projectOrder: 2, projects: ['p1'] }
+        ]
+      });
+      element.adapter = adapter;
+      element.projectId = 'p1';
+      await untilData(element);
+    });
+
+    function untilData(node) {
+      return new Promise((resolve) => {
+        node.addEventListener('data', function f(e) {
+          node.removeEventListener('data', f);
+          resolve(e.detail.items);
+        });
+      });
+    }
+
+    it('throws when no projectId', async () => {
+      element._autoQuery = () => {};
+      element.projectId = undefined;
+      let called = false;
+      try {
+        await element.setOrder(['r1']);
+      } catch (_) {
+        called = true;
+      }
+      assert.isTrue(called);
+    });
+
+    it('updates the data immediately', async () => {
+      const promise = element.setOrder(['r3', 'r1', 'r2']);
+      assert.deepEqual(element.data.map((item) => item._id), ['r3', 'r1', 'r2']);
+      await promise;
+    });
+
+    it('writes the project requests list', async () => {
+      await element.setOrder(['r3', 'r1', 'r2']);
+      const project = await adapter.getProject('p1');
+      assert.deepEqual(project.requests, ['r3', 'r1', 'r2']);
+    });
+
+    it('renumbers projectOrder', async () => {
+      await element.setOrder(['r3', 'r1', 'r2']);
+      const docs = await adapter.getRequests(['r1', 'r2', 'r3']);
+      assert.deepEqual(docs.map((item) => item.projectOrder), [1, 2, 0]);
+    });
+
+    it('renumbers requests that are not on the list', async () => {
+      await element.setOrder(['r3']);
+      const project = await adapter.getProject('p1');
+      assert.deepEqual(project.requests, ['r3', 'r1', 'r2']);
+      const docs = await adapter.getRequests(['r1', 'r2', 'r3']);
+      assert.deepEqual(docs.map((item) => item.projectOrder), [1, 2, 0]);
+      assert.deepEqual(element.data.map((item) => item._id), ['r3', 'r1', 'r2']);
+    });
+
+    it('rejects IDs that are not in the project', async () => {
+      await adapter.putRequests([{ _id: 'x', name: 'x', projects: ['p2'] }]);
+      let error;
+      try {
+        await element.setOrder(['x', 'nope', 'r2']);
+      } catch (cause) {
+        error = cause;
+      }
+      assert.ok(error, 'rejects');
+      const project = await adapter.getProject('p1');
+      assert.deepEqual(project.requests, ['r1', 'r2', 'r3'], 'project is not changed');
+      assert.deepEqual(element.data.map((item) => item._id), ['r1', 'r2', 'r3'], 'data is not changed');
+    });
+
+    it('ignores duplicated IDs', async () => {
+      await element.setOrder(['r2', 'r2', 'r3']);
+      const project = await adapter.getProject('p1');
+      assert.deepEqual(project.requests, ['r2', 'r3', 'r1']);
+      const docs = await adapter.getRequests(['r1', 'r2', 'r3']);
+      assert.deepEqual(docs.map((item) => item.projectOrder), [2, 0, 1]);
+    });
+
+    it('updates revisions on the data list', async () => {
+      await element.setOrder(['r3', 'r1', 'r2']);
+      const docs = await adapter.getRequests(['r3']);
+      assert.equal(element.data[0]._rev, docs[0]._rev);
+    });
+
+    it('dispatches change events', async () => {
+      const requestSpy = sinon.spy();
+      const projectSpy = sinon.spy();
+      element.addEventListener('request-object-changed', requestSpy);
+      element.addEventListener('project-object-changed', projectSpy);
+      await element.setOrder(['r3', 'r1', 'r2']);
+      assert.equal(requestSpy.callCount, 3, 'request events');
+      assert.isFalse(requestSpy.args[0][0].cancelable, 'request event is not cancelable');
+      assert.isTrue(projectSpy.calledOnce, 'project event');
+    });
+
+    it('moveRequest() moves a request', async () => {
+      await element.moveRequest('r1', 2);
+      assert.deepEqual(element.data.map((item) => item._id), ['r2', 'r3', 'r1']);
+      const project = await adapter.getProject('p1');
+      assert.deepEqual(project.requests, ['r2', 'r3', 'r1']);
+    });
+
+    it('moveRequest() clamps a negative index', async () => {
+      await element.moveRequest('r2', -1);
+      const project = await adapter.getProject('p1');
+      assert.deepEqual(project.requests, ['r2', 'r1', 'r3']);
+    });
+
+    it('moveRequest() clamps an index out of the list', async () => {
+      await element.moveRequest('r1', 10);
+      const project = await adapter.getProject('p1');
+      assert.deepEqual(project.requests, ['r2', 'r3', 'r1']);
+    });
+
+    it('moveRequest() throws for invalid index', async () => {
+      let called = false;
+      try {
+        await element.moveRequest('r1', 'a');
+      } catch (_) {
+        called = true;
+      }
+      assert.isTrue(called);
+    });
+
+    it('moveRequest() throws for unknown request', async () => {
+      let called = false;
+      try {
+        await element.moveRequest('other', 2);
+      } catch (_) {
+        called = true;
+      }
+      assert.isTrue(called);
+    });
+  });
+
+  describe('project membership', () => {
+    let element;
+    let adapter;
+    beforeEach(async () => {
+      element = await basicFixture();
+      adapter = new MemoryStorageAdapter({
+        projects: [{ _id: 'p1', requests: ['r1', 'r2'] }, { _id: 'p2' }],
+        requests: [
+          { _id: 'r1', name: 'a', projectOrder: 0, projects: ['p1'] },
+          { _id: 'r2', name: 'b', projectOrder: 1, projects: ['p1'], legacyProject: 'p1' },
+          { _id: 'r3', name: 'c' }
+        ]
+      });
+      element.adapter = adapter;
+      element.projectId = 'p1';
+      await new Promise((resolve) => {
+        element.addEventListener('data', function f() {
+          element.removeEventListener('data', f);
+          resolve();
+        });
+      });
+    });
+
+    describe('addRequests()', () => {
+      it('adds requests to the project', async () => {
+        await element.addRequests(['r3']);
+        const project = await adapter.getProject('p1');
+        assert.deepEqual(project.requests, ['r1', 'r2', 'r3']);
+      });
+
+      it('adds project to the request', async () => {
+        await element.addRequests(['r3']);
+        const [doc] = await adapter.getRequests(['r3']);
+        assert.deepEqual(doc.projects, ['p1']);
+        assert.equal(doc.projectOrder, 2);
+      });
+
+      it('inserts requests at the index', async () => {
+        await element.addRequests(['r3'], { index: 0 });
+        const project = await adapter.getProject('p1');
+        assert.deepEqual(project.requests, ['r3', 'r1', 'r2']);
+        const docs = await adapter.getRequests(['r1', 'r2', 'r3']);
+        assert.deepEqual(docs.map((item) => item.projectOrder), [1, 2, 0]);
+      });
+
+      it('updates the data', async () => {
+        await element.addRequests(['r3'], { index: 0 });
+        assert.deepEqual(element.data.map((item) => item._id), ['r3', 'r1', 'r2']);
+      });
+
+      it('reports missing requests', async () => {
+        const result = await element.addRequests(['r3', 'other']);
+        assert.deepEqual(result.requests, ['r3']);
+        assert.deepEqual(result.failed, ['other']);
+      });
+
+      it('retries the project write on conflict', async () => {
+        const orig = adapter.putProject.bind(adapter);
+        let called = 0;
+        adapter.putProject = async (doc) => {
+          called++;
+          if (called === 1) {
+            const error = new Error('Document update conflict');
+            error.status = 409;
+            throw error;
+          }
+          return await orig(doc);
+        };
+        await element.addRequests(['r3']);
+        assert.equal(called, 2);
+        const project = await adapter.getProject('p1');
+        assert.include(project.requests, 'r3');
+      });
+
+      it('retries requests write on conflict', async () => {
+        const orig = adapter.putRequests.bind(adapter);
+        let called = 0;
+        adapter.putRequests = async (docs) => {
+          called++;
+          if (called === 1) {
+            return docs.map((doc) => {
+              return { id: doc._id, error: 'conflict', status: 409 };
+            });
+          }
+          return await orig(docs);
+        };
+        const result = await element.addRequests(['r3']);
+        assert.equal(called, 2);
+        assert.deepEqual(result.requests, ['r3']);
+      });
+    });
+
+    describe('removeRequests()', () => {
+      it('removes requests from the project', async () => {
+        await element.removeRequests(['r2']);
+        const project = await adapter.getProject('p1');
+        assert.deepEqual(project.requests, ['r1']);
+      });
+
+      it('removes project references from the request', async () => {
+        await element.removeRequests(['r2']);
+        const [doc] = await adapter.getRequests(['r2']);
+        assert.deepEqual(doc.projects, []);
+        assert.isUndefined(doc.legacyProject);
+      });
+
+      it('updates the data', async () => {
+        await element.removeRequests(['r2']);
+        assert.deepEqual(element.data.map((item) => item._id), ['r1']);
+      });
+
+      it('dispatches the project change event', async () => {
+        const spy = sinon.spy();
+        element.addEventListener('project-object-changed', spy);
+        await element.removeRequests(['r2']);
+        assert.isTrue(spy.calledOnce);
+        assert.deepEqual(spy.args[0][0].detail.project.requests, ['r1']);
+      });
+
+      it('updates other elements of the project', async () => {
+        const other = await basicFixture();
+        other.adapter = adapter;
+        other.projectId = 'p1';
+        await new Promise((resolve) => {
+          other.addEventListener('data', function f() {
+            other.removeEventListener('data', f);
+            resolve();
+          });
+        });
+        await element.removeRequests(['r2']);
+        assert.deepEqual(other.data.map((item) => item._id), ['r1']);
+      });
+    });
+
+    describe('copyToProject()', () => {
+      it('adds requests to the target project', async () => {
+        await element.copyToProject(['r1'], 'p2');
+        const project = await adapter.getProject('p2');
+        assert.deepEqual(project.requests, ['r1']);
+        const [doc] = await adapter.getRequests(['r1']);
+        assert.deepEqual(doc.projects, ['p1', 'p2']);
+      });
+
+      it('keeps requests in current project', async () => {
+        await element.copyToProject(['r1'], 'p2');
+        const project = await adapter.getProject('p1');
+        assert.deepEqual(project.requests, ['r1', 'r2']);
+        assert.lengthOf(element.data, 2);
+      });
+
+      it('throws when no target project', async () => {
+        let called = false;
+        try {
+          await element.copyToProject(['r1']);
+        } catch (_) {
+          called = true;
+        }
+        assert.isTrue(called);
+      });
+    });
+  });
+
+  describe('integrity', () => {
+    let element;
+    let adapter;
+    beforeEach(async () => {
+      element = await basicFixture();
+      adapter = new MemoryStorageAdapter({
+        projects: [
+          { _id: 'p1', requests: ['r1', 'missing', 'r2', 'r1'] },
+          { _id: 'p2', requests: ['r5'] }
+        ],
+        requests: [
+          { _id: 'r1', name: 'r1', projects: ['p1'], projectOrder: 0 },
+          { _id: 'r2', name: 'r2', projects: ['p1'], projectOrder: 1 },
+          { _id: 'r3', name: 'r3', projects: ['p1'], projectOrder: 3 },
+          { _id: 'r4', name: 'r4', legacyProject: 'p1', projectOrder: 2 },
+          { _id: 'r5', name: 'r5', projects: ['p2'] }
+        ]
+      });
+      element.adapter = adapter;
+    });
+
+    describe('checkIntegrity()', () => {
+      it('reports dangling keys', async () => {
+        const result = await element.checkIntegrity('p1');
+        assert.deepEqual(result.dangling, ['missing']);
+      });
+
+      it('reports orphaned back references', async () => {
+        const result = await element.checkIntegrity('p1');
+        assert.deepEqual(result.orphaned, ['r3', 'r4']);
+      });
+
+      it('reports duplicated ids', async () => {
+        const result = await element.checkIntegrity('p1');
+        assert.deepEqual(result.duplicates, ['r1']);
+        assert.isFalse(result.valid);
+      });
+
+      it('reports valid project', async () => {
+        const result = await element.checkIntegrity('p2');
+        assert.deepEqual(result, {
+          projectId: 'p2',
+          dangling: [],
+          orphaned: [],
+          duplicates: [],
+          valid: true
+        });
+      });
+
+      it('uses current project by default', async () => {
+        element.projectId = 'p2';
+        const result = await element.checkIntegrity();
+        assert.equal(result.projectId, 'p2');
+      });
+
+      it('throws when project is not set', async () => {
+        let error;
+        try {
+          await element.checkIntegrity();
+        } catch (e) {
+          error = e;
+        }
+        assert.ok(error);
+      });
+    });
+
+    describe('repair()', () => {
+      it('returns repaired list in dry run mode', async () => {
+        const result = await element.repair('p1', { dryRun: true });
+        assert.deepEqual(result.requests, ['r1', 'r2', 'r4', 'r3']);
+        assert.isFalse(result.repaired);
+        const project = await adapter.getProject('p1');
+        assert.deepEqual(project.requests, ['r1', 'missing', 'r2', 'r1'], 'project is not changed');
+      });
+
+      it('stores repaired project', async () => {
+        const result = await element.repair('p1');
+        assert.isTrue(result.repaired);
+        const project = await adapter.getProject('p1');
+        assert.deepEqual(project.requests, ['r1', 'r2', 'r4', 'r3']);
+        const check = await element.checkIntegrity('p1');
+        assert.isTrue(check.valid);
+      });
+
+      it('does not change valid project', async () => {
+        const spy = sinon.spy(adapter, 'putProject');
+        const result = await element.repair('p2');
+        assert.isFalse(result.repaired);
+        assert.isFalse(spy.called);
+      });
+
+      it('dispatches project-object-changed event', async () => {
+        const spy = sinon.spy();
+        element.addEventListener('project-object-changed', spy);
+        await element.repair('p1');
+        assert.isTrue(spy.calledOnce);
+        assert.deepEqual(spy.args[0][0].detail.project.requests, ['r1', 'r2', 'r4', 'r3']);
+      });
+
+      it('adds orphaned requests in project order regardless of the sort', async () => {
+        element.sort = 'name';
+        element.sortDirection = 'desc';
+        const result = await element.repair('p1', { dryRun: true });
+        assert.deepEqual(result.requests, ['r1', 'r2', 'r4', 'r3']);
+      });
+    });
+  });
+
+  describe('exportProject()', () => {
+    let element;
+    beforeEach(async () => {
+      element = await basicFixture();
+      element.adapter = new MemoryStorageAdapter({
+        projects: [{ _id: 'p1', name: 'Project', requests: ['r1', 'r2', 'missing'] }, { _id: 'p2' }],
+        requests: [
+          { _id: 'r1', name: 'a', projectOrder: 1, url: 'https://domain.com', headers: 'a: b' },
+          { _id: 'r2', name: 'b', projectOrder: 0, url: 'https://domain.com/b' },
+          { _id: 'p2/r3', name: 'legacy' }
+        ]
+      });
+    });
+
+    it('throws when no argument', async () => {
+      let called = false;
+      try {
+        await element.exportProject();
+      } catch (_) {
+        called = true;
+      }
+      assert.isTrue(called);
+    });
+
+    it('exports to ARC format by default', async () => {
+      const result = await element.exportProject('p1');
+      assert.equal(result.format, 'arc');
+      assert.equal(result.data.kind, 'ARC#AllDataExport');
+    });
+
+    it('exports full requests in order', async () => {
+      const result = await element.exportProject('p1');
+      const { requests } = result.data;
+      assert.deepEqual(requests.map((item) => item.key), ['r2', 'r1']);
+      assert.equal(requests[1].headers, 'a: b');
+    });
+
+    it('exports requests in project order regardless of the sort', async () => {
+      element.sort = 'name';
+      const result = await element.exportProject('p1');
+      assert.deepEqual(result.data.requests.map((item) => item.key), ['r2', 'r1']);
+    });
+
+    it('reports missing requests', async () => {
+      const result = await element.exportProject('p1');
+      assert.deepEqual(result.missing, ['missing']);
+    });
+
+    it('exports legacy project', async () => {
+      const result = await element.exportProject('p2', 'postman');
+      assert.deepEqual(result.data.item.map((item) => item.name), ['legacy']);
+    });
+
+    it('exports full requests when fields are set', async () => {
+      element.fields = ['name'];
+      const result = await element.exportProject('p1');
+      assert.equal(result.data.requests[1].headers, 'a: b');
+    });
+
+    it('reads requests in batches', async () => {
+      const { adapter } = element;
+      const docs = [];
+      for (let i = 0; i < 300; i++) {
+        docs.push({ _id: `p2/batch${i}`, name: `Request ${i}` });
+      }
+      await adapter.putRequests(docs);
+      const spy = sinon.spy(adapter, 'getRequests');
+      const result = await element.exportProject('p2');
+      assert.lengthOf(result.data.requests, 301);
+      assert.equal(spy.callCount, 2);
+      assert.isTrue(spy.args.every(([keys]) => keys.length <= 250));
+    });
+
+    it('exports HAR', async () => {
+      const result = await element.exportProject('p1', 'har');
+      assert.lengthOf(result.data.log.entries, 2);
+    });
+  });
+
+  describe('importProject()', () => {
+    let element;
+    let adapter;
+    beforeEach(async () => {
+      element = await basicFixture();
+      adapter = new MemoryStorageAdapter({
+        projects: [{ _id: 'p1', name: 'Project', requests: ['r1', 'r2'] }],
+        requests: [
+          { _id: 'r1', name: 'a', projectOrder: 1, url: 'https://domain.com/a' },
+          { _id: 'r2', name: 'b', projectOrder: 0, url: 'https://domain.com/b', method: 'POST' }
+        ]
+      });
+      element.adapter = adapter;
+    });
+
+    const collection = {
+      info: {
+        name: 'Collection',
+        schema: 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json'
+      },
+      item: [{
+        name: 'Second',
+        request: { method: 'GET', url: 'https://domain.com/2' }
+      }, {
+        name: 'First',
+        request: { method: 'GET', url: 'https://domain.com/1' }
+      }, {
+        name: 'Invalid'
+      }]
+    };
+
+    it('rejects invalid payload', async () => {
+      let called = false;
+      try {
+        await element.importProject({});
+      } catch (_) {
+        called = true;
+      }
+      assert.isTrue(called);
+    });
+
+    it('creates the project', async () => {
+      const result = await element.importProject(collection);
+      const project = await adapter.getProject(result.projectId);
+      assert.equal(project.name, 'Collection');
+      assert.lengthOf(project.requests, 2);
+    });
+
+    it('creates requests with project and order', async () => {
+      const result = await element.importProject(collection);
+      const project = await adapter.getProject(result.projectId);
+      const docs = await adapter.getRequests(project.requests);
+      assert.deepEqual(docs.map((item) => item.name), ['Second', 'First']);
+      assert.deepEqual(docs.map((item) => item.projectOrder), [0, 1]);
+      assert.deepEqual(docs[0].projects, [result.projectId]);
+    });
+
+    it('returns the project requests', async () => {
+      const result = await element.importProject(collection);
+      assert.deepEqual(result.items.map((item) => item.name), ['Second', 'First']);
+    });
+
+    it('returns the report', async () => {
+      const result = await element.importProject(collection);
+      assert.deepEqual(result.report.map((item) => item.status), ['imported', 'imported', 'skipped']);
+    });
+
+    it('reports requests that could not be stored', async () => {
+      const orig = adapter.putRequests.bind(adapter);
+      adapter.putRequests = async (docs) => {
+        const response = await orig(docs.slice(1));
+        return [{ id: docs[0]._id, error: 'forbidden', status: 403 }].concat(response);
+      };
+      const result = await element.importProject(collection);
+      assert.equal(result.report[0].status, 'skipped');
+      assert.lengthOf(result.items, 1);
+    });
+
+    it('does not create a project without requests', async () => {
+      const spy = sinon.spy(adapter, 'putProject');
+      const result = await element.importProject({
+        info: collection.info,
+        item: [{ name: 'Invalid' }]
+      });
+      assert.isFalse(spy.called, 'project is not stored');
+      assert.isUndefined(result.projectId, 'has no projectId');
+      assert.deepEqual(result.items, []);
+      assert.equal(result.reason, 'The payload has no requests to import');
+      assert.equal(result.report[0].status, 'skipped');
+    });
+
+    it('does not create a project when requests cannot be stored', async () => {
+      adapter.putRequests = async (docs) => {
+        return docs.map((doc) => {
+          return { id: doc._id, error: 'forbidden', status: 403 };
+        });
+      };
+      const spy = sinon.spy(adapter, 'putProject');
+      const result = await element.importProject(collection);
+      assert.isFalse(spy.called, 'project is not stored');
+      assert.equal(result.reason, 'None of the requests could be stored');
+      assert.deepEqual(result.report.map((item) => item.status), ['skipped', 'skipped', 'skipped']);
+    });
+
+    it('imports exported project', async () => {
+      const exported = await element.exportProject('p1');
+      const result = await element.importProject(exported.data);
+      assert.deepEqual(result.items.map((item) => item.name), ['b', 'a']);
+    });
+  });
+
+  describe('sort', () => {
+    let element;
+    beforeEach(async () => {
+      element = await basicFixture();
+      element.adapter = new MemoryStorageAdapter({
+        projects: [{ _id: 'p1', requests: ['r1', 'r2', 'r3'] }],
+        requests: [
+          { _id: 'r1', name: 'c', method: 'POST', url: 'https://b.com', updated: 300, projectOrder: 0 },
+          { _id: 'r2', name: 'a', method: 'GET', url: 'https://c.com', updated: 100, projectOrder: 1 },
+          { _id: 'r3', name: 'b', method: 'DELETE', url: 'https://a.com', updated: 200, projectOrder: 2 }
+        ]
+      });
+      const result = untilData(element);
+      element.projectId = 'p1';
+      await result;
+    });
+
+    function untilData(node) {
+      return new Promise((resolve) => {
+        node.addEventListener('data', function f(e) {
+          node.removeEventListener('data', f);
+          resolve(e.detail.items);
+        });
+      });
+    }
+
+    function ids() {
+      return element.data.map((item) => item._id);
+    }
+
+    it('sorts by project order by default', () => {
+      assert.deepEqual(ids(), ['r1', 'r2', 'r3']);
+    });
+
+    [
+      ['name', ['r2', 'r3', 'r1']],
+      ['updated', ['r2', 'r3', 'r1']],
+      ['method', ['r3', 'r2', 'r1']],
+      ['url', ['r3', 'r1', 'r2']],
+      ['order', ['r1', 'r2', 'r3']]
+    ].forEach(([mode, expected]) => {
+      it(`sorts by ${mode}`, () => {
+        element.sort = mode;
+        assert.deepEqual(ids(), expected);
+      });
+    });
+
+    it('sorts in descending order', () => {
+      element.sort = 'updated';
+      element.sortDirection = 'desc';
+      assert.deepEqual(ids(), ['r1', 'r3', 'r2']);
+    });
+
+    it('dispatches data event when sort changes', async () => {
+      const result = untilData(element);
+      element.sort = 'name';
+      const items = await result;
+      assert.deepEqual(items.map((item) => item._id), ['r2', 'r3', 'r1']);
+    });
+
+    it('uses the comparator', () => {
+      element.comparator = (a, b) => b._id.localeCompare(a._id);
+      assert.deepEqual(ids(), ['r3', 'r2', 'r1']);
+    });
+
+    it('keeps the order when inserting requests', () => {
+      element.sort = 'name';
+      document.body.dispatchEvent(new CustomEvent('request-object-changed', {
+        bubbles: true,
+        detail: {
+          request: { _id: 'r4', name: 'bb', projects: ['p1'], projectOrder: 3 }
+        }
+      }));
+      assert.deepEqual(ids(), ['r2', 'r3', 'r4', 'r1']);
+    });
+
+    it('rejects moveRequest() when not in the project order', async () => {
+      element.sort = 'name';
+      let error;
+      try {
+        await element.moveRequest('r1', 0);
+      } catch (e) {
+        error = e;
+      }
+      assert.ok(error);
+    });
+  });
+
+  describe('groups', () => {
+    let element;
+    let adapter;
+    beforeEach(async () => {
+      element = await basicFixture();
+      adapter = new MemoryStorageAdapter({
+        projects: [{ _id: 'p1', requests: ['r1', 'r2', 'r3', 'r4'] }],
+        requests: [
+          { _id: 'r1', name: 'r1', method: 'get', url: 'https://api.com/users/1', projectOrder: 0 },
+          { _id: 'r2', name: 'r2', method: 'POST', url: 'https://api.com/users', projectOrder: 1 },
+          { _id: 'r3', name: 'r3', method: 'GET', url: 'https://auth.com/token/new', projectOrder: 2 },
+          { _id: 'r4', name: 'r4', projectOrder: 3 }
+        ]
+      });
+      element.adapter = adapter;
+      const result = new Promise((resolve) => {
+        element.addEventListener('data', function f() {
+          element.removeEventListener('data', f);
+          resolve();
+        });
+      });
+      element.projectId = 'p1';
+      await result;
+    });
+
+    function summary() {
+      return element.groups.map((group) => [group.key, group.count, group.items.map((item) => item._id)]);
+    }
+
+    function fire(request) {
+      document.body.dispatchEvent(new CustomEvent('request-object-changed', {
+        bubbles: true,
+        detail: {
+          request
+        }
+      }));
+    }
+
+    it('has no groups by default', () => {
+      assert.isUndefined(element.groups);
+    });
+
+    it('groups by host', () => {
+      element.groupBy = 'host';
+      assert.deepEqual(summary(), [
+        ['', 1, ['r4']],
+        ['api.com', 2, ['r1', 'r2']],
+        ['auth.com', 1, ['r3']]
+      ]);
+    });
+
+    it('groups by method', () => {
+      element.groupBy = 'method';
+      assert.deepEqual(summary(), [
+        ['', 1, ['r4']],
+        ['GET', 2, ['r1', 'r3']],
+        ['POST', 1, ['r2']]
+      ]);
+    });
+
+    it('groups by path prefix', () => {
+      element.groupBy = 'path';
+      assert.deepEqual(summary(), [
+        ['', 1, ['r4']],
+        ['/token', 1, ['r3']],
+        ['/users', 2, ['r1', 'r2']]
+      ]);
+    });
+
+    it('groups by path prefix with depth', () => {
+      element.groupBy = 'path';
+      element.groupDepth = 2;
+      assert.deepEqual(summary(), [
+        ['', 1, ['r4']],
+        ['/token/new', 1, ['r3']],
+        ['/users', 1, ['r2']],
+        ['/users/1', 1, ['r1']]
+      ]);
+    });
+
+    it('dispatches groups-changed event', () => {
+      const spy = sinon.spy();
+      element.addEventListener('groups-changed', spy);
+      element.groupBy = 'host';
+      assert.isTrue(spy.calledOnce);
+      assert.equal(spy.args[0][0].detail.groups, element.groups);
+    });
+
+    it('clears groups when groupBy is removed', () => {
+      element.groupBy = 'host';
+      element.groupBy = undefined;
+      assert.isUndefined(element.groups);
+    });
+
+    it('updates groups when a request changes', () => {
+      element.groupBy = 'host';
+      fire({ _id: 'r3', name: 'r3', method: 'GET', url: 'https://api.com/token', projects: ['p1'], projectOrder: 2 });
+      assert.deepEqual(summary(), [
+        ['', 1, ['r4']],
+        ['api.com', 3, ['r1', 'r2', 'r3']]
+      ]);
+    });
+
+    it('keeps groups that did not change', () => {
+      element.groupBy = 'host';
+      const [empty, api, auth] = element.groups;
+      fire({ _id: 'r3', name: 'r3 updated', method: 'GET', url: 'https://auth.com/token', projects: ['p1'], projectOrder: 2 });
+      assert.equal(element.groups[0], empty);
+      assert.equal(element.groups[1], api);
+      assert.notEqual(element.groups[2], auth);
+      assert.equal(element.groups[2].items[0].name, 'r3 updated');
+    });
+
+    it('updates groups when a request is deleted', () => {
+      element.groupBy = 'host';
+      document.body.dispatchEvent(new CustomEvent('request-object-deleted', {
+        bubbles: true,
+        detail: {
+          id: 'r3'
+        }
+      }));
+      assert.deepEqual(summary(), [
+        ['', 1, ['r4']],
+        ['api.com', 2, ['r1', 'r2']]
+      ]);
+    });
+
+    it('groups the filtered list', async () => {
+      element.groupBy = 'host';
+      const result = new Promise((resolve) => {
+        element.addEventListener('data', function f() {
+          element.removeEventListener('data', f);
+          resolve();
+        });
+      });
+      element.search = 'users';
+      await result;
+      assert.deepEqual(summary(), [
+        ['api.com', 2, ['r1', 'r2']]
+      ]);
+    });
+  });
+
+  describe('stats', () => {
+    let element;
+    beforeEach(async () => {
+      element = await basicFixture();
+      element.adapter = new MemoryStorageAdapter({
+        projects: [{ _id: 'p1', requests: ['r1', 'r2', 'r3', 'missing'] }],
+        requests: [
+          { _id: 'r1', name: 'r1', method: 'get', url: 'https://api.com/a', updated: 100 },
+          { _id: 'r2', name: 'r2', method: 'POST', url: 'https://api.com/b', updated: 300 },
+          { _id: 'r3', name: 'r3', method: 'GET', updated: 200 }
+        ]
+      });
+    });
+
+    function untilStats(node) {
+      return new Promise((resolve) => {
+        node.addEventListener('stats', function f(e) {
+          node.removeEventListener('stats', f);
+          resolve(e.detail);
+        });
+      });
+    }
+
+    it('has no stats without data', () => {
+      assert.isUndefined(element.stats);
+    });
+
+    it('computes stats with the data', async () => {
+      const result = untilStats(element);
+      element.projectId = 'p1';
+      const detail = await result;
+      assert.equal(detail.projectId, 'p1');
+      assert.deepEqual(detail.stats, {
+        total: 3,
+        methods: { GET: 2, POST: 1 },
+        hosts: { 'api.com': 2 },
+        lastUpdated: { id: 'r2', name: 'r2', updated: 300 },
+        noUrl: 1,
+        dangling: 1
+      });
+      assert.equal(element.stats, detail.stats);
+    });
+
+    it('updates stats when a request changes', async () => {
+      const result = untilStats(element);
+      element.projectId = 'p1';
+      await result;
+      document.body.dispatchEvent(new CustomEvent('request-object-changed', {
+        bubbles: true,
+        detail: {
+          request: { _id: 'r3', name: 'r3', method: 'PUT', url: 'https://other.com', updated: 400, projects: ['p1'] }
+        }
+      }));
+      const { stats } = element;
+      assert.deepEqual(stats.methods, { GET: 1, POST: 1, PUT: 1 });
+      assert.deepEqual(stats.hosts, { 'api.com': 2, 'other.com': 1 });
+      assert.equal(stats.lastUpdated.id, 'r3');
+      assert.equal(stats.noUrl, 0);
+    });
+
+    it('ignores search', async () => {
+      const result = untilStats(element);
+      element.projectId = 'p1';
+      await result;
+      element.search = 'r1';
+      assert.equal(element.stats.total, 3);
+    });
+  });
+
+  describe('search and filter', () => {
+    let element;
+    let adapter;
+    beforeEach(async () => {
+      element = await basicFixture();
+      adapter = new MemoryStorageAdapter({
+        projects: [{ _id: 'p1', requests: ['r1', 'r2', 'r3'] }],
+        requests: [
+          { _id: 'r1', name: 'List items', method: 'GET', url: 'https://api.domain.com/items', projectOrder: 0 },
+          { _id: 'r2', name: 'Create item', method: 'POST', url: 'https://api.domain.com/items',
+            headers: 'content-type: application/json', payload: '{"name":"test"}', projectOrder: 1 },
+          { _id: 'r3', name: 'Ping', method: 'GET', url: 'https://status.domain.com/', projectOrder: 2 }
+        ]
+      });
+      element.adapter = adapter;
+      element.projectId = 'p1';
+      await untilData(element);
+    });
+
+    function untilData(node) {
+      return new Promise((resolve) => {
+        node.addEventListener('data', function f(e) {
+          node.removeEventListener('data', f);
+          resolve(e.detail);
+        });
+      });
+    }
+
+    it('returns all items without search', () => {
+      assert.lengthOf(element.data, 3);
+      assert.equal(element.total, 3);
+    });
+
+    it('searches in name', async () => {
+      const result = untilData(element);
+      element.search = 'ping';
+      await result;
+      assert.deepEqual(element.data.map((item) => item._id), ['r3']);
+    });
+
+    it('searches in URL', async () => {
+      const result = untilData(element);
+      element.search = 'api.domain';
+      await result;
+      assert.deepEqual(element.data.map((item) => item._id), ['r1', 'r2']);
+    });
+
+    it('searches in headers and body', async () => {
+      let result = untilData(element);
+      element.search = 'application/json';
+      await result;
+      assert.deepEqual(element.data.map((item) => item._id), ['r2']);
+      result = untilData(element);
+      element.search = '"test"';
+      await result;
+      assert.deepEqual(element.data.map((item) => item._id), ['r2']);
+    });
+
+    it('keeps the unfiltered total', async () => {
+      const result = untilData(element);
+      element.search = 'ping';
+      const detail = await result;
+      assert.equal(element.total, 3, 'total property');
+      assert.equal(detail.total, 3, 'event total');
+      assert.lengthOf(detail.items, 1, 'event items');
+    });
+
+    it('filters by field values', async () => {
+      const result = untilData(element);
+      element.filter = { method: 'get', url: 'api' };
+      await result;
+      assert.deepEqual(element.data.map((item) => item._id), ['r1']);
+    });
+
+    it('restores the list when search is cleared', async () => {
+      let result = untilData(element);
+      element.search = 'ping';
+      await result;
+      result = untilData(element);
+      element.search = '';
+      await result;
+      assert.lengthOf(element.data, 3);
+    });
+
+    it('reports errors when reading requests', async () => {
+      adapter.getRequests = () => Promise.reject(new Error('test error'));
+      const spy = sinon.spy();
+      element.addEventListener('send-analytics', spy);
+      element.search = 'ping';
+      await aTimeout();
+      assert.isTrue(spy.calledOnce);
+      assert.equal(spy.args[0][0].detail.description, 'test error');
+    });
+
+    it('ignores the result when search changed while reading', async () => {
+      const getRequests = adapter.getRequests.bind(adapter);
+      let release;
+      const gate = new Promise((resolve) => {
+        release = resolve;
+      });
+      let calls = 0;
+      adapter.getRequests = async (keys) => {
+        if (++calls === 1) {
+          await gate;
+        }
+        return getRequests(keys);
+      };
+      const spy = sinon.spy();
+      element.addEventListener('data', spy);
+      element.search = 'ping';
+      element.search = 'api.domain';
+      await aTimeout();
+      release();
+      await aTimeout();
+      assert.isTrue(spy.calledOnce);
+      assert.deepEqual(element.data.map((item) => item._id), ['r1', 'r2']);
+    });
+
+    it('filters requests added by request-object-changed', async () => {
+      const result = untilData(element);
+      element.search = 'ping';
+      await result;
+      const request = { _id: 'r4', name: 'Ping 2', projects: ['p1'], projectOrder: 3 };
+      document.body.dispatchEvent(new CustomEvent('request-object-changed', {
+        bubbles: true,
+        detail: {
+          request
+        }
+      }));
+      assert.deepEqual(element.data.map((item) => item._id), ['r3', 'r4']);
+      assert.equal(element.total, 4);
+    });
+
+    it('removes deleted requests from the filtered list', async () => {
+      const result = untilData(element);
+      element.search = 'ping';
+      await result;
+      document.body.dispatchEvent(new CustomEvent('request-object-deleted', {
+        bubbles: true,
+        detail: {
+          id: 'r3'
+        }
+      }));
+      assert.deepEqual(element.data, []);
+      assert.equal(element.total, 2);
+    });
+  });
+
+  describe('queryProjects()', () => {
+    let projects;
+    let requests;
+    before(async () => {
+      const data = DataGenerator.generateSavedRequestData({
+        projectsSize: 3,
+        requestsSize: 6
+      });
+      projects = data.projects;
+      requests = data.requests;
+      requests.forEach((item) => {
+        delete item.projects;
+      });
+      projects[0].requests = [requests[0]._id, requests[1]._id, requests[2]._id];
+      projects[1].requests = [requests[2]._id, requests[3]._id];
+      delete projects[2].requests;
+      requests[4]._id = projects[2]._id + '/' + requests[4]._id;
+      /* global PouchDB */
+      const projectsDb = new PouchDB('legacy-projects');
+      await projectsDb.bulkDocs(projects);
+      const savedDb = new PouchDB('saved-requests');
+      await savedDb.bulkDocs(requests);
+    });
+
+    after(async () => {
+      await DataGenerator.destroySavedRequestData();
+    });
+
+    let element;
+    beforeEach(async () => {
+      element = await basicFixture();
+    });
+
+    it('throws when no argument', async () => {
+      let called = false;
+      try {
+        await element.queryProjects();
+      } catch (_) {
+        called = true;
+      }
+      assert.isTrue(called);
+    });
+
+    it('returns a map of projects requests', async () => {
+      const ids = projects.map((item) => item._id);
+      const result = await element.queryProjects(ids);
+      assert.lengthOf(result[ids[0]], 3, 'first project has 3 items');
+      assert.lengthOf(result[ids[1]], 2, 'second project has 2 items');
+      assert.lengthOf(result[ids[2]], 1, 'legacy project has 1 item');
+    });
+
+    it('returns empty list for non existing project', async () => {
+      const result = await element.queryProjects(['non-existing']);
+      assert.deepEqual(result['non-existing'], []);
+    });
+
+    it('reads project and requests data in batch', async () => {
+      const ids = projects.slice(0, 2).map((item) => item._id);
+      const spy = sinon.spy(element, '_getProjectRequest');
+      await element.queryProjects(ids);
+      assert.isTrue(spy.calledOnce);
+    });
+
+    it('sets projectsData when projectIds change', (done) => {
+      const ids = projects.map((item) => item._id);
+      element.addEventListener('projects-data', function f(e) {
+        element.removeEventListener('projects-data', f);
+        assert.deepEqual(e.detail.projectIds, ids, 'projectIds is set');
+        assert.lengthOf(element.projectsData[ids[0]], 3, 'has project data');
+        done();
+      });
+      element.projectIds = ids;
+    });
+
+    it('updates projectsData in request-object-changed', async () => {
+      const ids = projects.map((item) => item._id);
+      element.projectIds = ids;
+      await untilEvent(element, 'projects-data');
+      const item = DataGenerator.generateSavedItem();
+      item.projects = [ids[1]];
+      document.body.dispatchEvent(new CustomEvent('request-object-changed', {
+        bubbles: true,
+        detail: {
+          request: item
+        }
+      }));
+      assert.lengthOf(element.projectsData[ids[1]], 3);
+      assert.lengthOf(element.projectsData[ids[0]], 3);
+    });
+
+    it('updates projectsData in request-object-deleted', async () => {
+      const ids = projects.map((item) => item._id);
+      element.projectIds = ids;
+      await untilEvent(element, 'projects-data');
+      document.body.dispatchEvent(new CustomEvent('request-object-deleted', {
+        bubbles: true,
+        detail: {
+          id: requests[2]._id
+        }
+      }));
+      assert.lengthOf(element.projectsData[ids[0]], 2);
+      assert.lengthOf(element.projectsData[ids[1]], 1);
+    });
+
+    function untilEvent(node, type) {
+      return new Promise((resolve) => {
+        node.addEventListener(type, function f() {
+          node.removeEventListener(type, f);
+          resolve();
+        });
+      });
+    }
+  });
+
+  describe('_projectItem()', () => {
+    let element;
+    beforeEach(async () => {
+      element = await basicFixture();
+    });
+
+    const request = {
+      _id: 'id',
+      _rev: 'rev',
+      name: 'test',
+      url: 'https://api.domain.com/v1/items?q=1#hash',
+      auth: {
+        method: 'basic',
+        username: 'test'
+      }
+    };
+
+    it('always returns _id and _rev', () => {
+      const result = element._projectItem(request, []);
+      assert.deepEqual(result, { _id: 'id', _rev: 'rev' });
+    });
+
+    it('returns nested property', () => {
+      const result = element._projectItem(request, ['auth.method']);
+      assert.deepEqual(result.auth, { method: 'basic' });
+    });
+
+    it('ignores missing properties', () => {
+      const result = element._projectItem(request, ['method', 'auth.other.value']);
+      assert.deepEqual(result, { _id: 'id', _rev: 'rev' });
+    });
+
+    it('returns computed host', () => {
+      const result = element._projectItem(request, ['host']);
+      assert.equal(result.host, 'api.domain.com');
+    });
+
+    it('returns computed path', () => {
+      const result = element._projectItem(request, ['path']);
+      assert.equal(result.path, '/v1/items');
+    });
+
+    it('reads fields from the attribute', async () => {
+      const node = await fixture(html `
+        <legacyproject-related-requests fields="name, url host"></legacyproject-related-requests>
+      `);
+      assert.deepEqual(node.fields, ['name', 'url', 'host']);
+    });
+  });
+
+  describe('adapter', () => {
+    let element;
+    let adapter;
+    beforeEach(async () => {
+      element = await basicFixture();
+      adapter = new MemoryStorageAdapter({
+        projects: [{ _id: 'p1', requests: ['r1', 'r2', 'r3'] }, { _id: 'p2' }],
+        requests: [
+          { _id: 'r1', name: 'b', projectOrder: 2, projects: ['p1'] },
+          { _id: 'r2', name: 'a', projectOrder: 1, projects: ['p1'] },
+          { _id: 'p2/r4', name: 'legacy' }
+        ]
+      });
+    });
+
+    it('uses PouchDB adapter by default', () => {
+      assert.instanceOf(element.adapter, PouchDbStorageAdapter);
+    });
+
+    it('queries the set adapter', async () => {
+      element.adapter = adapter;
+      const result = await element.query('p1');
+      assert.deepEqual(result.map((item) => item._id), ['r2', 'r1']);
+    });
+
+    it('queries legacy project with the set adapter', async () => {
+      element.adapter = adapter;
+      const result = await element.query('p2');
+      assert.deepEqual(result.map((item) => item._id), ['p2/r4']);
+    });
+
+    it('queries multiple projects with the set adapter', async () => {
+      element.adapter = adapter;
+      const result = await element.queryProjects(['p1', 'p2']);
+      assert.lengthOf(result.p1, 2);
+      assert.lengthOf(result.p2, 1);
+    });
+
+    it('queries the data again when adapter change', async () => {
+      element._autoQuery = () => {};
+      element.projectId = 'p1';
+      const spy = sinon.spy(element, '_autoQuery');
+      element.adapter = adapter;
+      assert.isTrue(spy.calledOnce);
+    });
+
+    it('observes the adapter in live mode', async () => {
+      element.adapter = adapter;
+      element.live = true;
+      element.projectId = 'p1';
+      await untilData(element);
+      const [doc] = await adapter.getRequests(['r1']);
+      doc.name = 'updated';
+      const promise = untilData(element);
+      await adapter.putRequests([doc]);
+      const items = await promise;
+      assert.equal(items[1].name, 'updated');
+    });
+
+    function untilData(node) {
+      return new Promise((resolve) => {
+        node.addEventListener('data', function f(e) {
+          node.removeEventListener('data', f);
+          resolve(e.detail.items);
+        });
+      });
+    }
+  });
+
+  describe('request-object-changed', () => {
+    let element;
+    let projectId;
+    let requests;
+    beforeEach(async () => {
+      element = await basicFixture();
+      const data = DataGenerator.generateSavedRequestData({
+        projectsSize: 1,
+        requestsSize: 5,
+        forceProject: true
+      });
+      requests = element._prepareData(data.requests);
+      element._data = requests;
+      projectId = data.projects[0]._id;
+      element._autoQuery = () => {};
+      element.projectId = projectId;
+    });
+
+    function fire(request, cancelable) {
+      if (typeof cancelable !== 'boolean') {
+        cancelable = false;
+      }
+      const e = new CustomEvent('request-object-changed', {
+        bubbles: true,
+        cancelable,
+        detail: {
+          request
+        }
+      });
+      document.body.dispatchEvent(e);
+    }
+
+    it('adds a new item when _data is not set', () => {
+      const item = requests[0];
+      element._data = undefined;
+      fire(item);
+      assert.deepEqual(element._data, [{
+        _id: item._id,
+        _rev: item._rev,
+        name: item.name
+      }]);
+    });
+
+    it('adds a full item when fullQuery is set', () => {
+      const item = requests[0];
+      element._data = undefined;
+      element.fullQuery = true;
+      fire(item);
+      assert.deepEqual(element._data, [item]);
+    });
+
+    it('applies fields projection', () => {
+      const item = Object.assign({}, element._data[3]);
+      item.url = 'https://domain.com/path';
+      element.fields = ['name', 'host'];
+      fire(item);
+      const updated = element._data.find((i) => i._id === item._id);
+      assert.equal(updated.host, 'domain.com', 'has computed field');
+      assert.isUndefined(updated.url, 'has no url');
+    });
+
+    it('updates an item on the list', () => {
+      const item = Object.assign({}, element._data[3]);
+      item.name = 'other';
+      const id = item._id;
+      fire(item);
+      const updated = element._data.find((i) => i._id === id);
+      assert.equal(updated.name, 'other');
+    });
+
+    it('adds new item to the list', () => {
+      const item = DataGenerator.generateSavedItem({
+        project: projectId
+      });
+      fire(item);
+      assert.lengthOf(element.data, 6);
+    });
+
+    it('ignores item from different proejct', () => {
+      const item = DataGenerator.generateSavedItem({
+        project: 'other'
+      });
+      fire(item);
+      assert.lengthOf(element.data, 5);
+    });
+
+    it('accepts legacyProject proeprty', () => {
+      const item = DataGenerator.generateSavedItem();
+      item.legacyProject = projectId;
+      fire(item);
+      assert.lengthOf(element.data, 6);
+    });
+
+    it('ignores cancelable event', () => {
+      const item = DataGenerator.generateSavedItem();
+      item.legacyProject = projectId;
+      fire(item, true);
+      assert.lengthOf(element.data, 5);
+    });
+  });
+
+  describe('request membership changes', () => {
+    let element;
+    beforeEach(async () => {
+      element = await basicFixture();
+      element.adapter = new MemoryStorageAdapter({
+        projects: [{ _id: 'p1', requests: ['r1', 'r2', 'r3'] }],
+        requests: [
+          { _id: 'r1', name: 'r1', projects: ['p1'], projectOrder: 0 },
+          { _id: 'r2', name: 'r2', projects: ['p1'], projectOrder: 1 },
+          { _id: 'r3', name: 'r3', legacyProject: 'p1', projectOrder: 2 }
+        ]
+      });
+      element.projectId = 'p1';
+      await new Promise((resolve) => {
+        element.addEventListener('data', function f() {
+          element.removeEventListener('data', f);
+          resolve();
+        });
+      });
+    });
+
+    function fire(request) {
+      document.body.dispatchEvent(new CustomEvent('request-object-changed', {
+        bubbles: true,
+        detail: {
+          request
+        }
+      }));
+    }
+
+    function ids() {
+      return element.data.map((item) => item._id);
+    }
+
+    it('removes a request moved to other project', () => {
+      fire({ _id: 'r2', name: 'r2', projects: ['p2'] });
+      assert.deepEqual(ids(), ['r1', 'r3']);
+    });
+
+    it('removes a request which legacyProject changed', () => {
+      fire({ _id: 'r3', name: 'r3', legacyProject: 'p2' });
+      assert.deepEqual(ids(), ['r1', 'r2']);
+    });
+
+    it('keeps a request without project references listed in the project', () => {
+      fire({ _id: 'r2', name: 'other', projectOrder: 1 });
+      assert.deepEqual(ids(), ['r1', 'r2', 'r3']);
+    });
+
+    it('dispatches items-changed with removed request', () => {
+      const spy = sinon.spy();
+      element.addEventListener('items-changed', spy);
+      fire({ _id: 'r2', name: 'r2', projects: ['p2'] });
+      assert.isTrue(spy.calledOnce);
+      assert.deepEqual(spy.args[0][0].detail, {
+        projectId: 'p1',
+        added: [],
+        removed: [{ id: 'r2', index: 1 }],
+        moved: []
+      });
+    });
+
+    it('dispatches items-changed with added request', () => {
+      const spy = sinon.spy();
+      element.addEventListener('items-changed', spy);
+      fire({ _id: 'r4', name: 'r4', projects: ['p1'], projectOrder: 1.5 });
+      assert.deepEqual(spy.args[0][0].detail, {
+        projectId: 'p1',
+        added: [{ id: 'r4', index: 2 }],
+        removed: [],
+        moved: []
+      });
+    });
+
+    it('dispatches items-changed with moved request', () => {
+      const spy = sinon.spy();
+      element.addEventListener('items-changed', spy);
+      fire({ _id: 'r1', name: 'r1', projects: ['p1'], projectOrder: 5 });
+      const { moved } = spy.args[0][0].detail;
+      assert.deepEqual(moved, [{ id: 'r1', from: 0, to: 2 }]);
+    });
+
+    it('does not dispatch items-changed when position did not change', () => {
+      const spy = sinon.spy();
+      element.addEventListener('items-changed', spy);
+      fire({ _id: 'r1', name: 'updated', projects: ['p1'], projectOrder: 0 });
+      assert.isFalse(spy.called);
+    });
+
+    it('removes the request from projectsData', async () => {
+      element.projectIds = ['p1'];
+      await new Promise((resolve) => {
+        element.addEventListener('projects-data', function f() {
+          element.removeEventListener('projects-data', f);
+          resolve();
+        });
+      });
+      fire({ _id: 'r2', name: 'r2', projects: ['p2'] });
+      assert.deepEqual(element.projectsData.p1.map((item) => item._id), ['r1', 'r3']);
+    });
+  });
+
+  describe('request-object-deleted', () => {
+    let element;
+    let projectId;
+    let requests;
+    beforeEach(async () => {
+      element = await basicFixture();
+      const data = DataGenerator.generateSavedRequestData({
+        projectsSize: 1,
+        requestsSize: 5,
+        forceProject: true
+      });
+      requests = element._prepareData(data.requests);
+      element._data = requests;
+      projectId = data.projects[0]._id;
+      element._autoQuery = () => {};
+      element.projectId = projectId;
+    });
+
+    function fire(id, cancelable) {
+      if (typeof cancelable !== 'boolean') {
+        cancelable = false;
+      }
+      const e = new CustomEvent('request-object-deleted', {
+        bubbles: true,
+        cancelable,
+        detail: {
+          id
+        }
+      });
+      document.body.dispatchEvent(e);
+    }
+
+    it('removes item from _data', () => {
+      const item = requests[0];
+      fire(item._id);
+      assert.lengthOf(element._data, 4);
+    });
+
+    it('ignores cancelable event', () => {
+      const item = requests[0];
+      fire(item._id, true);
+      assert.lengthOf(element.data, 5);
+    });
+
+    it('ignores events without id', () => {
+      fire();
+      assert.lengthOf(element.data, 5);
+    });
+  });
+
+  describe('request-objects-deleted', () => {
+    let element;
+    let projectId;
+    let requests;
+    beforeEach(async () => {
+      element = await basicFixture();
+      const data = DataGenerator.generateSavedRequestData({
+        projectsSize: 1,
+        requestsSize: 5,
+        forceProject: true
+      });
+      requests = element._prepareData(data.requests);
+      element._data = requests;
+      projectId = data.projects[0]._id;
+      element._autoQuery = () => {};
+      element.projectId = projectId;
+    });
+
+    function fire(items, cancelable) {
+      if (typeof cancelable !== 'boolean') {
+        cancelable = false;
+      }
+      const e = new CustomEvent('request-objects-deleted', {
+        bubbles: true,
+        cancelable,
+        detail: {
+          items
+        }
+      });
+      document.body.dispatchEvent(e);
+    }
+
+    it('removes items from _data', () => {
+      const item = requests[0];
+      fire([item._id]);
+      assert.lengthOf(element._data, 4);
+    });
+
+    it('ignores cancelable event', () => {
+      const item = requests[0];
+      fire([item._id], true);
+      assert.lengthOf(element.data, 5);
+    });
+
+    it('ignores events without ids', () => {
+      fire();
       assert.lengthOf(element.data, 5);
     });
   });
 
+  describe('project changes', () => {
+    let element;
+    let adapter;
+    beforeEach(async () => {
+      element = await basicFixture();
+      adapter = new MemoryStorageAdapter({
+        projects: [{ _id: 'p1', requests: ['r1', 'r2'] }],
+        requests: [
+          { _id: 'r1', name: 'r1', projects: ['p1'] },
+          { _id: 'r2', name: 'r2', projects: ['p1'] },
+          { _id: 'r3', name: 'r3', projects: ['p1'] }
+        ]
+      });
+      element.adapter = adapter;
+      const result = untilData(element);
+      element.projectId = 'p1';
+      await result;
+    });
+
+    function untilData(node) {
+      return new Promise((resolve) => {
+        node.addEventListener('data', function f(e) {
+          node.removeEventListener('data', f);
+          resolve(e.detail.items);
+        });
+      });
+    }
+
+    function fireChanged(project, cancelable = false) {
+      document.body.dispatchEvent(new CustomEvent('project-object-changed', {
+        bubbles: true,
+        cancelable,
+        detail: {
+          project
+        }
+      }));
+    }
+
+    function fireDeleted(id, cancelable = false) {
+      document.body.dispatchEvent(new CustomEvent('project-object-deleted', {
+        bubbles: true,
+        cancelable,
+        detail: {
+          id
+        }
+      }));
+    }
+
+    it('adds requests added to the project', async () => {
+      const result = untilData(element);
+      fireChanged({ _id: 'p1', requests: ['r1', 'r2', 'r3'] });
+      const items = await result;
+      assert.deepEqual(items.map((item) => item._id), ['r1', 'r2', 'r3']);
+    });
+
+    it('removes requests removed from the project', () => {
+      fireChanged({ _id: 'p1', requests: ['r2'] });
+      assert.deepEqual(element.data.map((item) => item._id), ['r2']);
+    });
+
+    it('reads requests again when the order changes', async () => {
+      const [r1, r2] = await adapter.getRequests(['r1', 'r2']);
+      r1.projectOrder = 1;
+      r2.projectOrder = 0;
+      await adapter.putRequests([r1, r2]);
+      const result = untilData(element);
+      fireChanged({ _id: 'p1', requests: ['r2', 'r1'] });
+      const items = await result;
+      assert.deepEqual(items.map((item) => item._id), ['r2', 'r1']);
+    });
+
+    it('ignores cancelable project-object-changed event', () => {
+      fireChanged({ _id: 'p1', requests: ['r2'] }, true);
+      assert.lengthOf(element.data, 2);
+    });
+
+    it('ignores changes of other projects', () => {
+      fireChanged({ _id: 'p2', requests: [] });
+      assert.lengthOf(element.data, 2);
+    });
+
+    it('clears data when the project is deleted', () => {
+      fireDeleted('p1');
+      assert.deepEqual(element.data, []);
+    });
+
+    it('dispatches project-deleted event', () => {
+      const spy = sinon.spy();
+      element.addEventListener('project-deleted', spy);
+      fireDeleted('p1');
+      assert.isTrue(spy.calledOnce);
+      assert.equal(spy.args[0][0].detail.projectId, 'p1');
+    });
+
+    it('ignores cancelable project-object-deleted event', () => {
+      fireDeleted('p1', true);
+      assert.lengthOf(element.data, 2);
+    });
+
+    it('ignores deletion of other projects', () => {
+      const spy = sinon.spy();
+      element.addEventListener('project-deleted', spy);
+      fireDeleted('p2');
+      assert.isFalse(spy.called);
+      assert.lengthOf(element.data, 2);
+    });
+  });
+
+  describe('live mode', () => {
+    let inserts;
+    let projectId;
+    let element;
+    beforeEach(async () => {
+      inserts = await DataGenerator.insertSavedRequestData({
+        projectsSize: 1,
+        requestsSize: 5,
+        forceProject: true
+      });
+      projectId = inserts.projects[0]._id;
+      element = await basicFixture();
+      element.live = true;
+      element.projectId = projectId;
+      await untilData(element);
+    });
+
+    afterEach(async () => {
+      element.live = false;
+      await DataGenerator.destroySavedRequestData();
+    });
+
+    function untilData(node) {
+      return new Promise((resolve) => {
+        node.addEventListener('data', function f(e) {
+          node.removeEventListener('data', f);
+          resolve(e.detail.items);
+        });
+      });
+    }
+
+    it('creates changes feeds', () => {
+      assert.lengthOf(element._liveFeeds, 2);
+    });
+
+    it('updates an item when the document change', async () => {
+      const item = inserts.requests[0];
+      item.name = 'live-updated';
+      const db = element.savedDb;
+      const response = await db.put(item);
+      item._rev = response.rev;
+      const items = await untilData(element);
+      const updated = items.find((i) => i._id === item._id);
+      assert.equal(updated.name, 'live-updated');
+    });
+
+    it('removes an item when the document is deleted', async () => {
+      const item = inserts.requests[0];
+      const db = element.savedDb;
+      await db.remove(item._id, item._rev);
+      const items = await untilData(element);
+      assert.lengthOf(items, 4);
+    });
+
+    it('adds an item when added to the project', async () => {
+      const item = DataGenerator.generateSavedItem();
+      delete item.projects;
+      const db = element.savedDb;
+      await db.put(item);
+      const project = inserts.projects[0];
+      project.requests.push(item._id);
+      await DataGenerator.updateObject('legacy-projects', project);
+      const items = await untilData(element);
+      assert.lengthOf(items, 6);
+    });
+
+    it('removes an item when removed from the project', async () => {
+      const project = inserts.projects[0];
+      const id = project.requests.shift();
+      await DataGenerator.updateObject('legacy-projects', project);
+      const items = await untilData(element);
+      assert.lengthOf(items, 4);
+      assert.isUndefined(items.find((i) => i._id === id));
+    });
+
+    it('applies new order without reading requests', async () => {
+      const project = inserts.projects[0];
+      project.requests.reverse();
+      const spy = sinon.spy(element.adapter, 'getRequests');
+      await DataGenerator.updateObject('legacy-projects', project);
+      const items = await untilData(element);
+      assert.deepEqual(items.map((item) => item._id), project.requests);
+      assert.isFalse(spy.called);
+    });
+
+    it('cancels feeds when disconnected', () => {
+      const feeds = element._liveFeeds;
+      const spy = sinon.spy(feeds[0], 'cancel');
+      element.parentNode.removeChild(element);
+      assert.isTrue(spy.calledOnce);
+      assert.isUndefined(element._liveFeeds);
+    });
+
+    it('cancels feeds when projectId change', () => {
+      const feeds = element._liveFeeds;
+      const spy = sinon.spy(feeds[1], 'cancel');
+      element._autoQuery = () => {};
+      element.projectId = 'other';
+      assert.isTrue(spy.calledOnce);
+      assert.notEqual(element._liveFeeds, feeds);
+    });
+
+    it('does not create feeds when not live', async () => {
+      const node = await basicFixture();
+      node._autoQuery = () => {};
+      node.projectId = projectId;
+      assert.isUndefined(node._liveFeeds);
+    });
+  });
+
+  describe('project-related-requests-query', () => {
+    let element;
+    beforeEach(async () => {
+      element = await basicFixture();
+      element.adapter = new MemoryStorageAdapter({
+        projects: [{ _id: 'p1', requests: ['r1', 'r2'] }],
+        requests: [
+          { _id: 'r1', name: 'r1', projects: ['p1'] },
+          { _id: 'r2', name: 'r2', projects: ['p1'] }
+        ]
+      });
+    });
+
+    function fire(projectId, cancelable = true) {
+      const e = new CustomEvent('project-related-requests-query', {
+        bubbles: true,
+        composed: true,
+        cancelable,
+        detail: { projectId }
+      });
+      document.body.dispatchEvent(e);
+      return e;
+    }
+
+    it('cancels the event', () => {
+      const e = fire('p1');
+      assert.isTrue(e.defaultPrevented);
+    });
+
+    it('sets the result promise', async () => {
+      const e = fire('p1');
+      const result = await e.detail.result;
+      assert.deepEqual(result.map((item) => item._id), ['r1', 'r2']);
+    });
+
+    it('dispatches project-related-requests-read event', async () => {
+      const spy = sinon.spy();
+      element.addEventListener('project-related-requests-read', spy);
+      const e = fire('p1');
+      await e.detail.result;
+      assert.isTrue(spy.calledOnce);
+      assert.equal(spy.args[0][0].detail.projectId, 'p1');
+      assert.lengthOf(spy.args[0][0].detail.items, 2);
+    });
+
+    it('rejects when the project does not exist', async () => {
+      const e = fire('other');
+      let error;
+      try {
+        await e.detail.result;
+      } catch (cause) {
+        error = cause;
+      }
+      assert.equal(error.code, ErrorCodes.PROJECT_NOT_FOUND);
+    });
+
+    it('ignores not cancelable event', () => {
+      const e = fire('p1', false);
+      assert.isUndefined(e.detail.result);
+    });
+
+    it('ignores event without project id', () => {
+      const e = fire(undefined);
+      assert.isFalse(e.defaultPrevented);
+    });
+
+    it('ignores event handled by other element', () => {
+      const handler = (e) => e.preventDefault();
+      document.body.addEventListener('project-related-requests-query', handler);
+      const e = fire('p1');
+      document.body.removeEventListener('project-related-requests-query', handler);
+      assert.isUndefined(e.detail.result);
+    });
+
+    it('does not handle the event when disconnected', () => {
+      element.parentNode.removeChild(element);
+      const e = fire('p1');
+      assert.isFalse(e.defaultPrevented);
+    });
+
+    it('dispatches project-related-requests-read event after projectId change', async () => {
+      const spy = sinon.spy();
+      element.addEventListener('project-related-requests-read', spy);
+      element.projectId = 'p1';
+      await new Promise((resolve) => element.addEventListener('project-related-requests-read', resolve));
+      assert.isTrue(spy.calledOnce);
+      assert.deepEqual(spy.args[0][0].detail.items.map((item) => item._id), ['r1', 'r2']);
+    });
+  });
+
+  describe('restoring deleted requests', () => {
+    let element;
+    beforeEach(async () => {
+      element = await basicFixture();
+      element.adapter = new MemoryStorageAdapter({
+        projects: [{ _id: 'p1', requests: ['r1', 'r2', 'r3', 'r4'] }],
+        requests: [
+          { _id: 'r1', name: 'r1', projects: ['p1'] },
+          { _id: 'r2', name: 'r2', projects: ['p1'] },
+          { _id: 'r3', name: 'r3', projects: ['p1'] },
+          { _id: 'r4', name: 'r4', projects: ['p1'] }
+        ]
+      });
+      const result = new Promise((resolve) => element.addEventListener('data', resolve, { once: true }));
+      element.projectId = 'p1';
+      await result;
+    });
+
+    function fireDeleted(ids) {
+      document.body.dispatchEvent(new CustomEvent('request-objects-deleted', {
+        bubbles: true,
+        composed: true,
+        detail: { items: ids }
+      }));
+    }
+
+    function fireRestored(ids, cancelable = false) {
+      document.body.dispatchEvent(new CustomEvent('request-objects-restored', {
+        bubbles: true,
+        composed: true,
+        cancelable,
+        detail: {
+          type: 'saved',
+          items: ids.map((id) => ({ _id: id, _rev: '2', name: id, projects: ['p1'] }))
+        }
+      }));
+    }
+
+    function ids() {
+      return element.data.map((item) => item._id);
+    }
+
+    it('puts a restored request back on its position', () => {
+      fireDeleted(['r2']);
+      fireRestored(['r2']);
+      assert.deepEqual(ids(), ['r1', 'r2', 'r3', 'r4']);
+    });
+
+    it('restores requests deleted together', () => {
+      fireDeleted(['r1', 'r3']);
+      fireRestored(['r3', 'r1']);
+      assert.deepEqual(ids(), ['r1', 'r2', 'r3', 'r4']);
+    });
+
+    it('restores requests deleted separately', () => {
+      fireDeleted(['r2']);
+      fireDeleted(['r3']);
+      fireRestored(['r2', 'r3']);
+      assert.deepEqual(ids(), ['r1', 'r2', 'r3', 'r4']);
+    });
+
+    it('restores the projectOrder of the request', async () => {
+      element.adapter = new MemoryStorageAdapter({
+        projects: [{ _id: 'p2', requests: ['r1', 'r2', 'r3'] }],
+        requests: [
+          { _id: 'r1', name: 'r1', projects: ['p2'], projectOrder: 2 },
+          { _id: 'r2', name: 'r2', projects: ['p2'], projectOrder: 0 },
+          { _id: 'r3', name: 'r3', projects: ['p2'], projectOrder: 1 }
+        ]
+      });
+      const result = new Promise((resolve) => element.addEventListener('data', resolve, { once: true }));
+      element.projectId = 'p2';
+      await result;
+      fireDeleted(['r2']);
+      document.body.dispatchEvent(new CustomEvent('request-objects-restored', {
+        bubbles: true,
+        detail: { items: [{ _id: 'r2', name: 'r2', projects: ['p2'] }] }
+      }));
+      assert.deepEqual(ids(), ['r2', 'r3', 'r1']);
+    });
+
+    it('dispatches items-changed event', () => {
+      fireDeleted(['r2']);
+      const spy = sinon.spy();
+      element.addEventListener('items-changed', spy);
+      fireRestored(['r2']);
+      assert.deepEqual(spy.args[0][0].detail.added, [{ id: 'r2', index: 1 }]);
+    });
+
+    it('does not remember removed requests when restoreTimeout is 0', () => {
+      element.restoreTimeout = 0;
+      fireDeleted(['r2']);
+      assert.isUndefined(element._removedItems);
+    });
+
+    it('adds not remembered request related to the project', () => {
+      element.restoreTimeout = 0;
+      fireDeleted(['r2']);
+      fireRestored(['r2']);
+      assert.include(ids(), 'r2');
+    });
+
+    it('forgets removed requests after the restore timeout', async () => {
+      element.restoreTimeout = 1;
+      fireDeleted(['r2']);
+      assert.ok(element._removedItems.get('r2'));
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      element._expireRemoved();
+      assert.isUndefined(element._removedItems);
+    });
+
+    it('does not remember requests removed from the project', () => {
+      document.body.dispatchEvent(new CustomEvent('request-object-changed', {
+        bubbles: true,
+        detail: { request: { _id: 'r2', _rev: '2', name: 'r2', projects: ['p2'] } }
+      }));
+      assert.deepEqual(ids(), ['r1', 'r3', 'r4']);
+      assert.isUndefined(element._removedItems);
+    });
+
+    it('ignores cancelable event', () => {
+      fireDeleted(['r2']);
+      fireRestored(['r2'], true);
+      assert.deepEqual(ids(), ['r1', 'r3', 'r4']);
+    });
+
+    it('forgets removed requests when project changes', () => {
+      fireDeleted(['r2']);
+      element.projectId = 'other';
+      assert.isUndefined(element._removedItems);
+    });
+  });
+
+  describe('history', () => {
+    let element;
+    let adapter;
+    beforeEach(async () => {
+      element = await basicFixture();
+      adapter = new MemoryStorageAdapter({
+        projects: [{ _id: 'p1', requests: ['r1', 'r2'] }],
+        requests: [
+          { _id: 'r1', name: 'r1', projects: ['p1'], method: 'GET', url: 'https://api.domain.com/a' },
+          { _id: 'r2', name: 'r2', projects: ['p1'], method: 'POST', url: 'https://api.domain.com/b' }
+        ],
+        history: [
+          { _id: 'h1', method: 'GET', url: 'https://api.domain.com/a', created: 100, updated: 100 },
+          { _id: 'h2', method: 'get', url: 'https://api.domain.com/a', created: 200, updated: 300 },
+          { _id: 'h3', method: 'POST', url: 'https://api.domain.com/other', created: 400, updated: 400 }
+        ]
+      });
+      element.adapter = adapter;
+      const result = untilData();
+      element.projectId = 'p1';
+      await result;
+    });
+
+    function untilData() {
+      return new Promise((resolve) => element.addEventListener('data', resolve, { once: true }));
+    }
+
+    function fireHistory(request) {
+      document.body.dispatchEvent(new CustomEvent('request-object-changed', {
+        bubbles: true,
+        detail: { type: 'history', request }
+      }));
+    }
+
+    it('does not set history values by default', () => {
+      assert.notProperty(element.data[0], 'runCount');
+      assert.notProperty(element.data[0], 'lastRun');
+    });
+
+    it('sets lastRun and runCount', async () => {
+      element.linkHistory = true;
+      await untilData();
+      const [r1, r2] = element.data;
+      assert.equal(r1.runCount, 2);
+      assert.equal(r1.lastRun, 300);
+      assert.equal(r2.runCount, 0);
+      assert.isUndefined(r2.lastRun);
+    });
+
+    it('does not wait for the history to set the data', async () => {
+      adapter.listHistory = () => new Promise(() => {});
+      element.linkHistory = true;
+      const result = untilData();
+      element.projectId = undefined;
+      element.projectId = 'p1';
+      await result;
+      assert.lengthOf(element.data, 2);
+      assert.notProperty(element.data[0], 'runCount');
+    });
+
+    it('sets history values on requests read after the history', async () => {
+      element.linkHistory = true;
+      await untilData();
+      element.projectId = undefined;
+      element.projectId = 'p1';
+      await untilData();
+      assert.equal(element.data[0].runCount, 2);
+    });
+
+    it('updates values when a history request is created', async () => {
+      element.linkHistory = true;
+      await untilData();
+      fireHistory({ _id: 'h4', method: 'POST', url: 'https://api.domain.com/b', created: 500, updated: 500 });
+      const r2 = element.data[1];
+      assert.equal(r2.runCount, 1);
+      assert.equal(r2.lastRun, 500);
+    });
+
+    it('updates lastRun when a history request is updated', async () => {
+      element.linkHistory = true;
+      await untilData();
+      fireHistory({ _id: 'h2', method: 'GET', url: 'https://api.domain.com/a', created: 200, updated: 600 });
+      const r1 = element.data[0];
+      assert.equal(r1.runCount, 2);
+      assert.equal(r1.lastRun, 600);
+    });
+
+    it('does not change other items', async () => {
+      element.linkHistory = true;
+      await untilData();
+      const [, r2] = element.data;
+      fireHistory({ _id: 'h4', method: 'GET', url: 'https://api.domain.com/a', updated: 700 });
+      assert.isTrue(element.data[1] === r2);
+    });
+
+    it('does not add history requests to the data', async () => {
+      element.linkHistory = true;
+      await untilData();
+      fireHistory({ _id: 'p1/h5', method: 'GET', url: 'https://api.domain.com/c', projects: ['p1'] });
+      assert.lengthOf(element.data, 2);
+    });
+
+    it('ignores history changes when linkHistory is not set', () => {
+      const spy = sinon.spy();
+      element.addEventListener('data', spy);
+      fireHistory({ _id: 'h4', method: 'GET', url: 'https://api.domain.com/a', updated: 700 });
+      assert.isFalse(spy.called);
+    });
+
+    it('removes history values when linkHistory is unset', async () => {
+      element.linkHistory = true;
+      await untilData();
+      element.linkHistory = false;
+      assert.notProperty(element.data[0], 'runCount');
+    });
+
+    it('ignores adapters without listHistory()', async () => {
+      adapter.listHistory = undefined;
+      element.linkHistory = true;
+      await Promise.resolve();
+      assert.notProperty(element.data[0], 'runCount');
+    });
+  });
+
   describe('a11y', () => {
     let element;
     beforeEach(async () => {
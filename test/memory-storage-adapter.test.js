@@ -0,0 +1,162 @@
+import { assert } from '@open-wc/testing';
+import * as sinon from 'sinon/pkg/sinon-esm.js';
+import { MemoryStorageAdapter } from '../memory-storage-adapter.js';
+
+describe('MemoryStorageAdapter', function() {
+  let adapter;
+  beforeEach(() => {
+    adapter = new MemoryStorageAdapter({
+      projects: [{ _id: 'p1', name: 'Project', requests: ['r1', 'r2'] }],
+      requests: [
+        { _id: 'r1', name: 'Request 1', projects: ['p1'] },
+        { _id: 'r2', name: 'Request 2', projects: ['p1'] }
+      ]
+    });
+  });
+
+  describe('getProject()', () => {
+    it('returns a project document', async () => {
+      const result = await adapter.getProject('p1');
+      assert.equal(result.name, 'Project');
+      assert.typeOf(result._rev, 'string');
+    });
+
+    it('rejects when the project does not exist', async () => {
+      let error;
+      try {
+        await adapter.getProject('other');
+      } catch (e) {
+        error = e;
+      }
+      assert.equal(error.status, 404);
+    });
+
+    it('returns a copy of the document', async () => {
+      const result = await adapter.getProject('p1');
+      result.name = 'changed';
+      const other = await adapter.getProject('p1');
+      assert.equal(other.name, 'Project');
+    });
+  });
+
+  describe('getProjects()', () => {
+    it('returns documents in order of ids', async () => {
+      const result = await adapter.getProjects(['other', 'p1']);
+      assert.isUndefined(result[0]);
+      assert.equal(result[1]._id, 'p1');
+    });
+  });
+
+  describe('getRequests()', () => {
+    it('returns documents in order of keys', async () => {
+      const result = await adapter.getRequests(['r2', 'other', 'r1']);
+      assert.equal(result[0]._id, 'r2');
+      assert.isUndefined(result[1]);
+      assert.equal(result[2]._id, 'r1');
+    });
+  });
+
+  describe('listRequestIds()', () => {
+    it('returns all requests ids', async () => {
+      const result = await adapter.listRequestIds();
+      assert.deepEqual(result, ['r1', 'r2']);
+    });
+  });
+
+  describe('listHistory()', () => {
+    it('returns history requests', async () => {
+      adapter = new MemoryStorageAdapter({
+        history: [{ _id: 'h1', method: 'GET', url: 'https://domain.com' }]
+      });
+      const result = await adapter.listHistory();
+      assert.deepEqual(result.map((doc) => doc._id), ['h1']);
+    });
+
+    it('returns empty list when no history', async () => {
+      const result = await adapter.listHistory();
+      assert.deepEqual(result, []);
+    });
+  });
+
+  describe('listRequests()', () => {
+    it('returns all requests', async () => {
+      const result = await adapter.listRequests();
+      assert.deepEqual(result.map((doc) => doc.name), ['Request 1', 'Request 2']);
+    });
+
+    it('returns copies of documents', async () => {
+      const [doc] = await adapter.listRequests();
+      doc.name = 'changed';
+      const [result] = await adapter.getRequests(['r1']);
+      assert.equal(result.name, 'Request 1');
+    });
+  });
+
+  describe('putRequests()', () => {
+    it('updates a document', async () => {
+      const [doc] = await adapter.getRequests(['r1']);
+      doc.name = 'updated';
+      const [result] = await adapter.putRequests([doc]);
+      assert.isTrue(result.ok);
+      assert.notEqual(result.rev, doc._rev);
+      const [stored] = await adapter.getRequests(['r1']);
+      assert.equal(stored.name, 'updated');
+    });
+
+    it('reports a conflict', async () => {
+      const [result] = await adapter.putRequests([{ _id: 'r1', _rev: '1-other' }]);
+      assert.equal(result.error, 'conflict');
+      assert.equal(result.status, 409);
+    });
+
+    it('creates a document', async () => {
+      const [result] = await adapter.putRequests([{ name: 'new' }]);
+      assert.typeOf(result.id, 'string');
+      const ids = await adapter.listRequestIds();
+      assert.lengthOf(ids, 3);
+    });
+  });
+
+  describe('watchRequests()', () => {
+    it('notifies about a change', async () => {
+      const spy = sinon.spy();
+      adapter.watchRequests(spy);
+      const [doc] = await adapter.getRequests(['r1']);
+      await adapter.putRequests([doc]);
+      await Promise.resolve();
+      assert.isTrue(spy.calledOnce);
+      assert.equal(spy.args[0][0].id, 'r1');
+      assert.isFalse(spy.args[0][0].deleted);
+    });
+
+    it('notifies about a removal', async () => {
+      const spy = sinon.spy();
+      adapter.watchRequests(spy);
+      await adapter.removeRequests(['r1']);
+      await Promise.resolve();
+      assert.isTrue(spy.args[0][0].deleted);
+    });
+
+    it('does not notify when cancelled', async () => {
+      const spy = sinon.spy();
+      const feed = adapter.watchRequests(spy);
+      feed.cancel();
+      await adapter.removeRequests(['r1']);
+      await Promise.resolve();
+      assert.isFalse(spy.called);
+    });
+  });
+
+  describe('watchProjects()', () => {
+    it('notifies about observed projects only', async () => {
+      const spy = sinon.spy();
+      adapter.watchProjects(['p1'], spy);
+      await adapter.putProject({ _id: 'p2' });
+      const doc = await adapter.getProject('p1');
+      await adapter.putProject(doc);
+      await Promise.resolve();
+      assert.isTrue(spy.calledOnce);
+      assert.equal(spy.args[0][0].id, 'p1');
+    });
+  });
+});
@@ -0,0 +1,130 @@
+import { assert } from '@open-wc/testing';
+import * as sinon from 'sinon/pkg/sinon-esm.js';
+import 'pouchdb/dist/pouchdb.js';
+import { DataGenerator } from '@advanced-rest-client/arc-data-generator/arc-data-generator.js';
+import { PouchDbStorageAdapter } from '../pouchdb-storage-adapter.js';
+
+describe('PouchDbStorageAdapter', function() {
+  describe('constructor()', () => {
+    it('uses default stores names', () => {
+      const adapter = new PouchDbStorageAdapter();
+      assert.equal(adapter.savedName, 'saved-requests');
+      assert.equal(adapter.projectName, 'legacy-projects');
+      assert.equal(adapter.historyName, 'history-requests');
+    });
+
+    it('accepts stores names', () => {
+      const adapter = new PouchDbStorageAdapter({
+        savedName: 'a',
+        projectName: 'b',
+        historyName: 'c'
+      });
+      assert.equal(adapter.savedDb.name, 'a');
+      assert.equal(adapter.projectDb.name, 'b');
+      assert.equal(adapter.historyDb.name, 'c');
+    });
+
+    it('reuses the store instance', () => {
+      const adapter = new PouchDbStorageAdapter();
+      assert.isTrue(adapter.savedDb === adapter.savedDb);
+    });
+  });
+
+  describe('reading data', () => {
+    let inserts;
+    let adapter;
+    before(async () => {
+      inserts = await DataGenerator.insertSavedRequestData({
+        projectsSize: 1,
+        requestsSize: 3,
+        forceProject: true
+      });
+    });
+
+    after(async () => {
+      await DataGenerator.destroySavedRequestData();
+    });
+
+    beforeEach(() => {
+      adapter = new PouchDbStorageAdapter();
+    });
+
+    it('getProject() reads a project', async () => {
+      const project = inserts.projects[0];
+      const result = await adapter.getProject(project._id);
+      assert.equal(result._id, project._id);
+    });
+
+    it('getProjects() reads projects in order', async () => {
+      const project = inserts.projects[0];
+      const result = await adapter.getProjects(['other', project._id]);
+      assert.isUndefined(result[0]);
+      assert.equal(result[1]._id, project._id);
+    });
+
+    it('getRequests() reads requests in order', async () => {
+      const ids = inserts.requests.map((item) => item._id);
+      const result = await adapter.getRequests([ids[1], 'other', ids[0]]);
+      assert.equal(result[0]._id, ids[1]);
+      assert.isUndefined(result[1]);
+      assert.equal(result[2]._id, ids[0]);
+    });
+
+    it('listRequestIds() lists all ids', async () => {
+      const result = await adapter.listRequestIds();
+      assert.lengthOf(result, 3);
+    });
+
+    it('listRequests() lists all documents', async () => {
+      const result = await adapter.listRequests();
+      assert.lengthOf(result, 3);
+      assert.typeOf(result[0]._rev, 'string');
+    });
+  });
+
+  describe('listHistory()', () => {
+    /* global PouchDB */
+    before(async () => {
+      await new PouchDB('history-requests').destroy();
+    });
+
+    after(async () => {
+      await new PouchDB('history-requests').destroy();
+    });
+
+    it('lists history requests', async () => {
+      const db = new PouchDB('history-requests');
+      await db.put({
+        _id: 'h1',
+        method: 'POST',
+        url: 'https://domain.com/a',
+        created: 100,
+        updated: 200,
+        payload: 'test'
+      });
+      const adapter = new PouchDbStorageAdapter();
+      const result = await adapter.listHistory();
+      assert.deepEqual(result, [{
+        _id: 'h1',
+        method: 'POST',
+        url: 'https://domain.com/a',
+        created: 100,
+        updated: 200
+      }]);
+    });
+
+    it('reads documents in batches', async () => {
+      const db = new PouchDB('history-requests');
+      const docs = [];
+      for (let i = 0; i < 600; i++) {
+        docs.push({ _id: `batch-${i}`, method: 'GET', url: `https://domain.com/${i}`, updated: i });
+      }
+      await db.bulkDocs(docs);
+      const adapter = new PouchDbStorageAdapter();
+      const spy = sinon.spy(adapter.historyDb, 'allDocs');
+      const result = await adapter.listHistory();
+      assert.lengthOf(result.filter((item) => item._id.indexOf('batch-') === 0), 600);
+      assert.isTrue(spy.args.every(([opts]) => opts.include_docs && opts.limit === 500));
+    });
+  });
+});
@@ -0,0 +1,147 @@
+import { assert } from '@open-wc/testing';
+import {
+  parseHeaders,
+  parseQueryString,
+  exportArc,
+  exportPostman,
+  exportHar,
+  createExport,
+  POSTMAN_SCHEMA
+} from '../project-exporter.js';
+
+describe('project-exporter', function() {
+  const project = {
+    _id: 'p1',
+    _rev: '1-a',
+    name: 'Project',
+    description: 'Test project',
+    requests: ['r1', 'r2']
+  };
+  const requests = [{
+    _id: 'r2',
+    _rev: '1-b',
+    name: 'Create item',
+    method: 'POST',
+    url: 'https://api.domain.com/items?a=1&b=2',
+    headers: 'content-type: application/json\nx-test: value',
+    payload: '{"a":1}',
+    projectOrder: 0,
+    projects: ['p1', 'p2']
+  }, {
+    _id: 'r1',
+    _rev: '1-c',
+    name: 'List items',
+    method: 'GET',
+    url: 'https://api.domain.com/items',
+    projectOrder: 1
+  }];
+
+  describe('parseHeaders()', () => {
+    it('returns empty list when no headers', () => {
+      assert.deepEqual(parseHeaders(), []);
+    });
+
+    it('parses headers string', () => {
+      const result = parseHeaders('a: b\r\nc:d:e\ninvalid');
+      assert.deepEqual(result, [{ name: 'a', value: 'b' }, { name: 'c', value: 'd:e' }]);
+    });
+  });
+
+  describe('parseQueryString()', () => {
+    it('returns empty list when no query', () => {
+      assert.deepEqual(parseQueryString('https://domain.com'), []);
+    });
+
+    it('parses query parameters', () => {
+      const result = parseQueryString('https://domain.com?a=1&b=c=d&e#f');
+      assert.deepEqual(result, [
+        { name: 'a', value: '1' },
+        { name: 'b', value: 'c=d' },
+        { name: 'e', value: '' }
+      ]);
+    });
+  });
+
+  describe('exportArc()', () => {
+    it('creates ARC export object', () => {
+      const result = exportArc(project, requests);
+      assert.equal(result.kind, 'ARC#AllDataExport');
+      assert.typeOf(result.createdAt, 'string');
+    });
+
+    it('has the project', () => {
+      const [item] = exportArc(project, requests).projects;
+      assert.equal(item.key, 'p1');
+      assert.equal(item.kind, 'ARC#ProjectData');
+      assert.deepEqual(item.requests, ['r2', 'r1']);
+      assert.isUndefined(item._id);
+      assert.isUndefined(item._rev);
+    });
+
+    it('has ordered requests', () => {
+      const result = exportArc(project, requests).requests;
+      assert.deepEqual(result.map((item) => item.key), ['r2', 'r1']);
+      assert.deepEqual(result.map((item) => item.projectOrder), [0, 1]);
+      assert.deepEqual(result[0].projects, ['p1']);
+      assert.equal(result[0].kind, 'ARC#RequestData');
+    });
+  });
+
+  describe('exportPostman()', () => {
+    it('creates collection info', () => {
+      const { info } = exportPostman(project, requests);
+      assert.equal(info.name, 'Project');
+      assert.equal(info.description, 'Test project');
+      assert.equal(info.schema, POSTMAN_SCHEMA);
+    });
+
+    it('creates ordered items', () => {
+      const { item } = exportPostman(project, requests);
+      assert.deepEqual(item.map((i) => i.name), ['Create item', 'List items']);
+    });
+
+    it('creates request', () => {
+      const { request } = exportPostman(project, requests).item[0];
+      assert.equal(request.method, 'POST');
+      assert.equal(request.url.raw, 'https://api.domain.com/items?a=1&b=2');
+      assert.deepEqual(request.header[1], { key: 'x-test', value: 'value' });
+      assert.deepEqual(request.body, { mode: 'raw', raw: '{"a":1}' });
+    });
+
+    it('has no body when no payload', () => {
+      const { request } = exportPostman(project, requests).item[1];
+      assert.isUndefined(request.body);
+    });
+  });
+
+  describe('exportHar()', () => {
+    it('creates HAR log', () => {
+      const { log } = exportHar(project, requests);
+      assert.equal(log.version, '1.2');
+      assert.equal(log.pages[0].id, 'p1');
+      assert.lengthOf(log.entries, 2);
+    });
+
+    it('creates request entry', () => {
+      const { request } = exportHar(project, requests).log.entries[0];
+      assert.equal(request.method, 'POST');
+      assert.lengthOf(request.headers, 2);
+      assert.lengthOf(request.queryString, 2);
+      assert.deepEqual(request.postData, {
+        mimeType: 'application/json',
+        text: '{"a":1}'
+      });
+    });
+  });
+
+  describe('createExport()', () => {
+    it('throws for unknown format', () => {
+      assert.throws(() => createExport('other', project, requests));
+    });
+
+    it('creates export for a format', () => {
+      const result = createExport('postman', project, requests);
+      assert.ok(result.info);
+    });
+  });
+});
@@ -0,0 +1,170 @@
+import { assert } from '@open-wc/testing';
+import {
+  generateId,
+  isPostmanCollection,
+  isArcExport,
+  readPostman,
+  readArc,
+  readImport
+} from '../project-importer.js';
+
+describe('project-importer', function() {
+  const collection = {
+    info: {
+      name: 'Collection',
+      description: 'Test collection',
+      schema: 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json'
+    },
+    item: [{
+      name: 'Get item',
+      request: {
+        method: 'get',
+        header: [{ key: 'x-a', value: 'b' }, { key: 'x-c', value: 'd', disabled: true }],
+        url: { raw: 'https://api.domain.com/items/1' }
+      }
+    }, {
+      name: 'Folder',
+      item: [{
+        name: 'Create item',
+        request: {
+          method: 'POST',
+          url: 'https://api.domain.com/items',
+          body: { mode: 'raw', raw: '{}' }
+        }
+      }, {
+        name: 'Upload',
+        request: {
+          method: 'POST',
+          url: { protocol: 'https', host: ['api', 'domain', 'com'], path: ['upload'] },
+          body: { mode: 'formdata', formdata: [] }
+        }
+      }]
+    }, {
+      name: 'No request'
+    }, {
+      name: 'No URL',
+      request: { method: 'GET' }
+    }]
+  };
+
+  const arcExport = {
+    kind: 'ARC#AllDataExport',
+    projects: [{ key: 'p1', name: 'Project', requests: ['r2', 'r1'] }],
+    requests: [
+      { key: 'r1', kind: 'ARC#RequestData', name: 'First', url: 'https://domain.com/1', method: 'get', projects: ['p1'] },
+      { key: 'r2', kind: 'ARC#RequestData', name: 'Second', url: 'https://domain.com/2', projects: ['p1'] },
+      { key: 'r3', kind: 'ARC#RequestData', name: 'Other', url: 'https://domain.com/3', projects: ['p2'] },
+      { key: 'r4', kind: 'ARC#RequestData', name: 'No URL', projects: ['p1'] }
+    ]
+  };
+
+  describe('generateId()', () => {
+    it('returns UUID like string', () => {
+      assert.match(generateId(), /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+    });
+
+    it('returns different values', () => {
+      assert.notEqual(generateId(), generateId());
+    });
+  });
+
+  describe('isPostmanCollection()', () => {
+    it('returns true for v2 collection', () => {
+      assert.isTrue(isPostmanCollection(collection));
+    });
+
+    it('returns false for ARC export', () => {
+      assert.isFalse(isPostmanCollection(arcExport));
+    });
+  });
+
+  describe('isArcExport()', () => {
+    it('returns true for ARC export', () => {
+      assert.isTrue(isArcExport(arcExport));
+    });
+
+    it('returns false for a collection', () => {
+      assert.isFalse(isArcExport(collection));
+    });
+  });
+
+  describe('readPostman()', () => {
+    it('reads the project', () => {
+      const { project } = readPostman(collection);
+      assert.deepEqual(project, { name: 'Collection', description: 'Test collection' });
+    });
+
+    it('reads requests from folders', () => {
+      const { requests } = readPostman(collection);
+      assert.deepEqual(requests.map((item) => item.name), ['Get item', 'Create item', 'Upload']);
+    });
+
+    it('reads request properties', () => {
+      const { requests } = readPostman(collection);
+      assert.equal(requests[0].method, 'GET');
+      assert.equal(requests[0].url, 'https://api.domain.com/items/1');
+      assert.equal(requests[0].headers, 'x-a: b');
+      assert.equal(requests[1].payload, '{}');
+      assert.equal(requests[2].url, 'https://api.domain.com/upload');
+    });
+
+    it('reports skipped items', () => {
+      const { report } = readPostman(collection);
+      assert.deepEqual(report[3], {
+        index: 3,
+        name: 'No request',
+        status: 'skipped',
+        reason: 'The item has no request'
+      });
+      assert.equal(report[4].reason, 'The request has no URL');
+    });
+
+    it('reports unsupported body', () => {
+      const { report } = readPostman(collection);
+      assert.equal(report[2].status, 'imported');
+      assert.equal(report[2].reason, 'Unsupported body mode: formdata');
+    });
+  });
+
+  describe('readArc()', () => {
+    it('reads the project', () => {
+      const { project } = readArc(arcExport);
+      assert.deepEqual(project, { name: 'Project' });
+    });
+
+    it('reads requests in project order', () => {
+      const { requests } = readArc(arcExport);
+      assert.deepEqual(requests.map((item) => item.name), ['Second', 'First']);
+      assert.equal(requests[1].method, 'GET');
+      assert.isUndefined(requests[0].key);
+      assert.isUndefined(requests[0].projects);
+    });
+
+    it('reports skipped requests', () => {
+      const { report } = readArc(arcExport);
+      const other = report.find((item) => item.index === 2);
+      assert.equal(other.reason, 'The request is not in the project');
+      const noUrl = report.find((item) => item.index === 3);
+      assert.equal(noUrl.reason, 'The request has no URL');
+    });
+  });
+
+  describe('readImport()', () => {
+    it('reads JSON string', () => {
+      const result = readImport(JSON.stringify(collection));
+      assert.lengthOf(result.requests, 3);
+    });
+
+    it('throws for invalid JSON', () => {
+      assert.throws(() => readImport('{'), 'The import payload is not a valid JSON');
+    });
+
+    it('throws for non object', () => {
+      assert.throws(() => readImport([]), 'The import payload must be an object');
+    });
+
+    it('throws for unknown format', () => {
+      assert.throws(() => readImport({ a: 'b' }), 'Unknown import format');
+    });
+  });
+});
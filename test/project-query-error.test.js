@@ -0,0 +1,34 @@
+import { assert } from '@open-wc/testing';
+import { ErrorCodes, ProjectQueryError } from '../project-query-error.js';
+
+describe('ProjectQueryError', function() {
+  it('is an Error', () => {
+    const error = new ProjectQueryError(ErrorCodes.PROJECT_NOT_FOUND, 'test');
+    assert.instanceOf(error, Error);
+    assert.equal(error.message, 'test');
+    assert.equal(error.name, 'ProjectQueryError');
+  });
+
+  it('sets error properties', () => {
+    const cause = new Error('cause');
+    const error = new ProjectQueryError(ErrorCodes.PARTIAL_READ, 'test', {
+      projectId: 'p1',
+      missing: ['r1'],
+      cause
+    });
+    assert.equal(error.code, 'partial-read');
+    assert.equal(error.projectId, 'p1');
+    assert.deepEqual(error.missing, ['r1']);
+    assert.equal(error.cause, cause);
+  });
+
+  it('sets default missing list', () => {
+    const error = new ProjectQueryError(ErrorCodes.DATABASE_UNAVAILABLE, 'test');
+    assert.deepEqual(error.missing, []);
+  });
+
+  it('has AbortError name for aborted code', () => {
+    const error = new ProjectQueryError(ErrorCodes.ABORTED, 'test');
+    assert.equal(error.name, 'AbortError');
+  });
+});
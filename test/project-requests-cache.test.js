@@ -0,0 +1,107 @@
+import { assert } from '@open-wc/testing';
+import * as sinon from 'sinon/pkg/sinon-esm.js';
+import { ProjectRequestsCache, sharedCache } from '../project-requests-cache.js';
+
+describe('ProjectRequestsCache', function() {
+  let cache;
+  beforeEach(() => {
+    cache = new ProjectRequestsCache({ maxSize: 2, maxAge: 1000 });
+  });
+
+  function entry(ids) {
+    return {
+      projectKeys: ids,
+      items: ids.map((id) => ({ _id: id, name: id })),
+      meta: ids.map((id, index) => ({ id, projectOrder: index, name: id }))
+    };
+  }
+
+  it('sets default options', () => {
+    const instance = new ProjectRequestsCache();
+    assert.equal(instance.maxSize, 50);
+    assert.equal(instance.maxAge, 300000);
+  });
+
+  it('exports a shared instance', () => {
+    assert.instanceOf(sharedCache, ProjectRequestsCache);
+  });
+
+  describe('get() and set()', () => {
+    it('returns a stored entry', () => {
+      cache.set('s', 'p1', 'name', entry(['r1', 'r2']));
+      const result = cache.get('s', 'p1', 'name');
+      assert.deepEqual(result.projectKeys, ['r1', 'r2']);
+      assert.deepEqual(result.items, [{ _id: 'r1', name: 'r1' }, { _id: 'r2', name: 'r2' }]);
+      assert.lengthOf(result.meta, 2);
+    });
+
+    it('returns undefined for other projection', () => {
+      cache.set('s', 'p1', 'name', entry(['r1']));
+      assert.isUndefined(cache.get('s', 'p1', 'url'));
+    });
+
+    it('returns undefined for other scope', () => {
+      cache.set('s', 'p1', 'name', entry(['r1']));
+      assert.isUndefined(cache.get('other', 'p1', 'name'));
+    });
+
+    it('returns copies of items', () => {
+      const value = entry(['r1']);
+      cache.set('s', 'p1', 'name', value);
+      value.items[0].name = 'changed';
+      const result = cache.get('s', 'p1', 'name');
+      assert.equal(result.items[0].name, 'r1', 'stored value is a copy');
+      result.items[0].name = 'changed';
+      assert.equal(cache.get('s', 'p1', 'name').items[0].name, 'r1', 'returned value is a copy');
+    });
+
+    it('removes the least recently used entry', () => {
+      cache.set('s', 'p1', 'name', entry(['r1']));
+      cache.set('s', 'p2', 'name', entry(['r2']));
+      cache.get('s', 'p1', 'name');
+      cache.set('s', 'p3', 'name', entry(['r3']));
+      assert.equal(cache.size, 2);
+      assert.ok(cache.get('s', 'p1', 'name'), 'keeps p1');
+      assert.isUndefined(cache.get('s', 'p2', 'name'), 'removes p2');
+    });
+
+    it('does not return expired entries', () => {
+      const clock = sinon.useFakeTimers(Date.now());
+      try {
+        cache.set('s', 'p1', 'name', entry(['r1']));
+        clock.tick(1001);
+        assert.isUndefined(cache.get('s', 'p1', 'name'));
+        assert.equal(cache.size, 0);
+      } finally {
+        clock.restore();
+      }
+    });
+  });
+
+  describe('delete()', () => {
+    it('removes all projections of a project', () => {
+      cache.set('s', 'p1', 'name', entry(['r1']));
+      cache.set('s', 'p1', 'url', entry(['r1']));
+      cache.delete('s', 'p1');
+      assert.equal(cache.size, 0);
+    });
+  });
+
+  describe('invalidate()', () => {
+    it('removes matching entries of the scope', () => {
+      cache.set('s', 'p1', 'name', entry(['r1']));
+      cache.set('other', 'p1', 'name', entry(['r1']));
+      cache.invalidate('s', (item) => item.projectKeys.indexOf('r1') !== -1);
+      assert.isUndefined(cache.get('s', 'p1', 'name'));
+      assert.ok(cache.get('other', 'p1', 'name'));
+    });
+  });
+
+  describe('clear()', () => {
+    it('removes all entries', () => {
+      cache.set('s', 'p1', 'name', entry(['r1']));
+      cache.clear();
+      assert.equal(cache.size, 0);
+    });
+  });
+});
@@ -0,0 +1,177 @@
+import { assert } from '@open-wc/testing';
+import * as sinon from 'sinon/pkg/sinon-esm.js';
+import { ProjectRequestsModel } from '../project-requests-model.js';
+import { MemoryStorageAdapter } from '../memory-storage-adapter.js';
+import { PouchDbStorageAdapter } from '../pouchdb-storage-adapter.js';
+
+describe('ProjectRequestsModel', function() {
+  let adapter;
+  beforeEach(() => {
+    adapter = new MemoryStorageAdapter({
+      projects: [{ _id: 'p1', name: 'Project', requests: ['r1', 'r2'] }],
+      requests: [
+        { _id: 'r1', name: 'Request 1', projects: ['p1'], projectOrder: 0 },
+        { _id: 'r2', name: 'Request 2', projects: ['p1'], projectOrder: 1 }
+      ]
+    });
+  });
+
+  function untilData(model) {
+    return new Promise((resolve) => {
+      model.addEventListener('data', (e) => resolve(e), { once: true });
+    });
+  }
+
+  describe('constructor()', () => {
+    it('sets the adapter', () => {
+      const model = new ProjectRequestsModel({ adapter });
+      assert.isTrue(model.adapter === adapter);
+    });
+
+    it('creates PouchDbStorageAdapter with the PouchDB constructor', () => {
+      const PouchDB = function() {};
+      const model = new ProjectRequestsModel({ PouchDB });
+      assert.instanceOf(model.adapter, PouchDbStorageAdapter);
+      assert.isTrue(model.adapter.PouchDB === PouchDB);
+    });
+
+    it('sets other options', () => {
+      const model = new ProjectRequestsModel({ adapter, fields: ['url'], sort: 'name' });
+      assert.deepEqual(model.fields, ['url']);
+      assert.equal(model.sort, 'name');
+    });
+
+    it('queries for the project', async () => {
+      const model = new ProjectRequestsModel({ adapter, projectId: 'p1', fields: ['projectOrder'] });
+      const e = await untilData(model);
+      assert.equal(e.detail.projectId, 'p1');
+      assert.deepEqual(model.data.map((item) => item._id), ['r1', 'r2']);
+    });
+
+    it('is not connected', () => {
+      const model = new ProjectRequestsModel({ adapter });
+      assert.isFalse(model.isConnected);
+    });
+  });
+
+  describe('query()', () => {
+    it('returns requests of the project', async () => {
+      const model = new ProjectRequestsModel({ adapter });
+      const result = await model.query('p1');
+      assert.deepEqual(result.map((item) => item.name), ['Request 1', 'Request 2']);
+    });
+  });
+
+  describe('repair()', () => {
+    beforeEach(() => {
+      adapter = new MemoryStorageAdapter({
+        projects: [{ _id: 'p1', name: 'Project', requests: ['r1', 'missing', 'r2'] }],
+        requests: [
+          { _id: 'r1', name: 'Request 1', projects: ['p1'], projectOrder: 0 },
+          { _id: 'r2', name: 'Request 2', projects: ['p1'], projectOrder: 1 },
+          { _id: 'r3', name: 'Request 3', projects: ['p1'], projectOrder: 2 }
+        ]
+      });
+    });
+
+    it('updates the data of current project', async () => {
+      const model = new ProjectRequestsModel({ adapter, projectId: 'p1' });
+      await untilData(model);
+      assert.equal(model.stats.dangling, 1, 'has dangling request before repair');
+      await model.repair();
+      assert.deepEqual(model.data.map((item) => item._id), ['r1', 'r2', 'r3']);
+      assert.equal(model.stats.dangling, 0, 'has no dangling requests');
+      assert.isUndefined(model.error, 'clears the partial read error');
+    });
+  });
+
+  describe('connect()', () => {
+    let model;
+    let target;
+    beforeEach(async () => {
+      model = new ProjectRequestsModel({ adapter, projectId: 'p1' });
+      await untilData(model);
+      target = new EventTarget();
+    });
+
+    afterEach(() => {
+      model.disconnect();
+    });
+
+    function fire(type, detail) {
+      const e = new CustomEvent(type, { detail });
+      target.dispatchEvent(e);
+    }
+
+    it('sets isConnected', () => {
+      model.connect(target);
+      assert.isTrue(model.isConnected);
+    });
+
+    it('handles request-object-deleted on the target', () => {
+      model.connect(target);
+      fire('request-object-deleted', { id: 'r1' });
+      assert.deepEqual(model.data.map((item) => item._id), ['r2']);
+    });
+
+    it('handles request-object-changed on the target', () => {
+      model.connect(target);
+      fire('request-object-changed', {
+        type: 'saved',
+        request: { _id: 'r3', _rev: '1', name: 'Request 3', projects: ['p1'], projectOrder: 2 }
+      });
+      assert.deepEqual(model.data.map((item) => item._id), ['r1', 'r2', 'r3']);
+    });
+
+    it('ignores events before connect()', () => {
+      fire('request-object-deleted', { id: 'r1' });
+      assert.lengthOf(model.data, 2);
+    });
+
+    it('answers project-related-requests-query on the target', async () => {
+      model.connect(target);
+      const e = new CustomEvent('project-related-requests-query', {
+        cancelable: true,
+        detail: { projectId: 'p1' }
+      });
+      target.dispatchEvent(e);
+      assert.isTrue(e.defaultPrevented);
+      const result = await e.detail.result;
+      assert.lengthOf(result, 2);
+    });
+
+    it('ignores events after disconnect()', () => {
+      model.connect(target);
+      model.disconnect();
+      fire('request-object-deleted', { id: 'r1' });
+      assert.lengthOf(model.data, 2);
+      assert.isFalse(model.isConnected);
+    });
+
+    it('opens live feeds when live is set', () => {
+      const spy = sinon.spy(adapter, 'watchRequests');
+      model.live = true;
+      assert.isFalse(spy.called);
+      model.connect();
+      assert.isTrue(spy.calledOnce);
+    });
+
+    it('cancels live feeds on disconnect()', () => {
+      model.live = true;
+      model.connect();
+      const feeds = model._liveFeeds;
+      const spies = feeds.map((feed) => sinon.spy(feed, 'cancel'));
+      model.disconnect();
+      assert.isTrue(spies.every((spy) => spy.calledOnce));
+    });
+
+    it('updates the data from the live feed', async () => {
+      model.live = true;
+      model.connect();
+      await adapter.putRequests([
+        { _id: 'r3', name: 'Request 3', projects: ['p1'], projectOrder: 2 }
+      ]);
+      assert.deepEqual(model.data.map((item) => item._id), ['r1', 'r2', 'r3']);
+    });
+  });
+});